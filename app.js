@@ -0,0 +1,62 @@
+const path = require('path');
+const express = require('express');
+const serverless = require('serverless-http');
+const { errorHandler } = require('./services/errors.js');
+const { BASE_PATH, CORS_ORIGINS } = require('./config.js');
+
+// Responses that serverless-http must pass on to Netlify as binary data
+const BINARY_TYPES = ['image/*', 'application/octet-stream'];
+
+// Lets the sites in `origins` (or any site, with "*") call the API from the browser.
+// Only listed sites get to send the session cookie along.
+function cors(origins) {
+    return function (req, res, next) {
+        const origin = req.get('origin');
+        if (origin && (origins.includes('*') || origins.includes(origin))) {
+            res.set('Access-Control-Allow-Origin', origins.includes(origin) ? origin : '*');
+            res.set('Access-Control-Allow-Credentials', String(origins.includes(origin)));
+            res.vary('Origin');
+            if (req.method === 'OPTIONS') {
+                res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
+                res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+                res.set('Access-Control-Max-Age', '600');
+                res.status(204).end();
+                return;
+            }
+        }
+        next();
+    };
+}
+
+// The whole app: all API routes, optionally under a base path, with CORS, and with the static
+// files of wwwroot when not hosted by Netlify. Used by the Netlify functions and by server.js.
+function createApp({ basePath = BASE_PATH, corsOrigins = CORS_ORIGINS, staticFiles = false } = {}) {
+    const app = express();
+    app.set('trust proxy', true);
+    if (corsOrigins.length > 0) {
+        app.use(cors(corsOrigins));
+    }
+    const routes = express.Router();
+    routes.use(require('./routes/auth.js'));
+    routes.use(require('./routes/buckets.js'));
+    routes.use(require('./routes/models.js'));
+    routes.use(require('./routes/share.js'));
+    routes.use(require('./routes/audit.js'));
+    routes.use(require('./routes/health.js'));
+    routes.use(require('./routes/webhooks.js'));
+    routes.use(require('./routes/mock.js'));
+    if (staticFiles) {
+        routes.use(express.static(path.join(__dirname, 'wwwroot')));
+    }
+    app.use(basePath || '/', routes);
+    app.use(errorHandler);
+    return app;
+}
+
+// The handler of every Netlify function: each serves the whole app, netlify.toml only decides which one gets a request.
+// The Netlify site is always served from the root, whatever BASE_PATH says.
+function createHandler() {
+    return serverless(createApp({ basePath: '' }), { binary: BINARY_TYPES });
+}
+
+module.exports = { createApp, createHandler };
@@ -1,16 +1,80 @@
 require('dotenv').config();
 
-let { APS_CLIENT_ID, APS_CLIENT_SECRET, APS_BUCKET, PORT } = process.env;
-if (!APS_CLIENT_ID || !APS_CLIENT_SECRET) {
+let { APS_PROVIDER, APS_CLIENT_ID, APS_CLIENT_SECRET, APS_BUCKET, APS_STORE_BUCKET, APS_WEBHOOK_WORKFLOW, APS_WEBHOOK_SECRET, STORE_DIR, MOCK_DIR, MOCK_JOB_SECONDS, PORT } = process.env;
+let { AUTH_PROVIDER, AUTH_SECRET, OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, OIDC_REDIRECT_URI, URL: SITE_URL } = process.env;
+let { BASE_PATH, CORS_ORIGINS, AUDIT_SINK, AUDIT_FILE } = process.env;
+let { HOUSEKEEPING_SCRATCH_TAG, HOUSEKEEPING_SCRATCH_DAYS, HOUSEKEEPING_PURGE_FAILED, HOUSEKEEPING_RETRANSLATE, HOUSEKEEPING_MAX_TRANSLATIONS } = process.env;
+// Without credentials, the app runs against a local stand-in for APS ("mock") that keeps everything under MOCK_DIR
+APS_PROVIDER = APS_PROVIDER || (APS_CLIENT_ID && APS_CLIENT_SECRET ? 'aps' : 'mock');
+if (APS_PROVIDER === 'aps' && (!APS_CLIENT_ID || !APS_CLIENT_SECRET)) {
     console.warn('Missing some of the environment variables.');
     process.exit(1);
 }
-APS_BUCKET = APS_BUCKET || `${APS_CLIENT_ID.toLowerCase()}-basic-app`;
+if (APS_PROVIDER === 'mock') {
+    APS_CLIENT_ID = APS_CLIENT_ID || 'local';
+    APS_CLIENT_SECRET = APS_CLIENT_SECRET || 'local';
+    MOCK_DIR = MOCK_DIR || require('path').join(process.cwd(), '.aps-mock');
+    MOCK_JOB_SECONDS = MOCK_JOB_SECONDS === undefined ? 10 : parseFloat(MOCK_JOB_SECONDS); // how long fake translations and exports take
+}
+const APS_BUCKET_PREFIX = `${APS_CLIENT_ID.toLowerCase()}-`; // bucket keys are global, so project buckets get an app-specific prefix
+APS_BUCKET = APS_BUCKET || `${APS_BUCKET_PREFIX}basic-app`;
+APS_STORE_BUCKET = APS_STORE_BUCKET || `${APS_BUCKET_PREFIX}app-data`; // job status and other app data, not listed as a project
+APS_WEBHOOK_WORKFLOW = APS_WEBHOOK_WORKFLOW || `${APS_BUCKET_PREFIX}translations`;
 PORT = PORT || 8080;
+BASE_PATH = (BASE_PATH || '').replace(/^\/*/, '/').replace(/\/+$/, ''); // e.g. "/viewer" when not served from the root
+CORS_ORIGINS = CORS_ORIGINS ? CORS_ORIGINS.split(',').map(origin => origin.trim()) : []; // other sites allowed to call the API, or "*"
+AUTH_PROVIDER = AUTH_PROVIDER || 'local'; // "local" (users kept in the app data store) or "oidc"
+if (AUTH_PROVIDER === 'oidc' && (!OIDC_ISSUER || !OIDC_CLIENT_ID || !OIDC_CLIENT_SECRET)) {
+    console.warn('Missing some of the OIDC environment variables.');
+    process.exit(1);
+}
+// Audit events go to a JSON-lines file when app data is kept locally, and to the app data bucket otherwise
+AUDIT_SINK = AUDIT_SINK || (STORE_DIR ? 'file' : 'bucket');
+AUDIT_FILE = AUDIT_FILE || require('path').join(STORE_DIR || process.cwd(), 'audit.jsonl');
+// Retention rules of the housekeeping job (see services/housekeeping.js); a rule is off with 0 days or "false"
+HOUSEKEEPING_SCRATCH_TAG = (HOUSEKEEPING_SCRATCH_TAG || 'scratch').toLowerCase();
+HOUSEKEEPING_SCRATCH_DAYS = HOUSEKEEPING_SCRATCH_DAYS === undefined ? 14 : parseFloat(HOUSEKEEPING_SCRATCH_DAYS);
+HOUSEKEEPING_PURGE_FAILED = HOUSEKEEPING_PURGE_FAILED !== 'false';
+HOUSEKEEPING_RETRANSLATE = HOUSEKEEPING_RETRANSLATE !== 'false';
+HOUSEKEEPING_MAX_TRANSLATIONS = parseInt(HOUSEKEEPING_MAX_TRANSLATIONS) || 20; // per run, translations cost cloud credits
+// Signs the login sessions and share links, so it must not be guessable. Only the local APS stand-in may go without
+// one: sessions are then signed with a random secret and end with the process.
+if (!AUTH_SECRET && APS_PROVIDER !== 'mock') {
+    console.warn('Missing the AUTH_SECRET environment variable.');
+    process.exit(1);
+}
+if (!AUTH_SECRET) {
+    console.warn('AUTH_SECRET is not set, using a random secret: logins and share links last only until the server restarts.');
+    AUTH_SECRET = require('crypto').randomBytes(32).toString('hex');
+}
 
 module.exports = {
+    APS_PROVIDER,
     APS_CLIENT_ID,
     APS_CLIENT_SECRET,
     APS_BUCKET,
-    PORT
+    APS_BUCKET_PREFIX,
+    APS_STORE_BUCKET,
+    APS_WEBHOOK_WORKFLOW,
+    APS_WEBHOOK_SECRET,
+    STORE_DIR,
+    MOCK_DIR,
+    MOCK_JOB_SECONDS,
+    PORT,
+    BASE_PATH,
+    CORS_ORIGINS,
+    AUDIT_SINK,
+    AUDIT_FILE,
+    HOUSEKEEPING_SCRATCH_TAG,
+    HOUSEKEEPING_SCRATCH_DAYS,
+    HOUSEKEEPING_PURGE_FAILED,
+    HOUSEKEEPING_RETRANSLATE,
+    HOUSEKEEPING_MAX_TRANSLATIONS,
+    AUTH_PROVIDER,
+    AUTH_SECRET,
+    OIDC_ISSUER,
+    OIDC_CLIENT_ID,
+    OIDC_CLIENT_SECRET,
+    OIDC_REDIRECT_URI,
+    SITE_URL
 };
\ No newline at end of file
@@ -0,0 +1,17 @@
+const { schedule } = require('@netlify/functions');
+const { continueHousekeeping } = require('../../services/housekeeping.js');
+
+const TIME_LIMIT = 20 * 1000; // scheduled functions are stopped after 30 seconds
+
+// Applies the retention rules once a day (see services/housekeeping.js), in batches of TIME_LIMIT every 15 minutes
+// until all projects are done. Scheduled functions cannot be called over HTTP on Netlify; run
+// scripts/housekeeping.js to clean up on demand.
+exports.handler = schedule('*/15 * * * *', async () => {
+    const report = await continueHousekeeping({ timeLimit: TIME_LIMIT });
+    if (report && report.finishedAt) {
+        console.log(`Housekeeping: ${report.removed.length} models removed, ${report.purged.length} failed translations purged, ${report.retranslated.length} models translated again, ${report.errors.length} errors.`);
+    } else if (report) {
+        console.log(`Housekeeping: ${report.models} models checked so far, continuing with the next batch.`);
+    }
+    return { statusCode: 200 };
+});
@@ -0,0 +1,11 @@
+const { schedule } = require('@netlify/functions');
+const { refreshListings } = require('../../services/versions.js');
+
+const TIME_LIMIT = 20 * 1000; // scheduled functions are stopped after 30 seconds
+
+// Keeps the listing indexes of the projects up to date with OSS (see services/listing.js), refreshing each one
+// that is due in batches of TIME_LIMIT every 5 minutes
+exports.handler = schedule('*/5 * * * *', async () => {
+    await refreshListings(TIME_LIMIT);
+    return { statusCode: 200 };
+});
@@ -0,0 +1,3 @@
+const { createHandler } = require('../../app.js');
+
+exports.handler = createHandler();
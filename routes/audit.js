@@ -0,0 +1,81 @@
+const express = require('express');
+const { parseUrn } = require('../services/aps.js');
+const { authenticate, requireRole, canAccessProject } = require('../services/auth.js');
+const { resolveShare } = require('../services/shares.js');
+const { TYPES, recordEvent, queryEvents } = require('../services/audit.js');
+const { clientError } = require('../services/errors.js');
+
+const CLIENT_TYPES = ['open', 'load']; // the events the viewer reports itself
+const CLIENT_OUTCOMES = ['success', 'failure'];
+const DEFAULT_RANGE = 7 * 24 * 60 * 60 * 1000;
+const MAX_RANGE = 31 * 24 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+let router = express.Router();
+router.use('/api/audit', express.json());
+
+// Filters: `type`, `user`, `urn`, `outcome`, and the time range `from`/`to` (timestamps or ISO dates,
+// the last 7 days by default, at most 31 days), with at most `limit` events, newest first
+router.get('/api/audit', authenticate, requireRole('admin'), async function (req, res, next) {
+    const { type, user, urn, outcome } = req.query;
+    const to = req.query.to ? new Date(isNaN(req.query.to) ? req.query.to : Number(req.query.to)).getTime() : Date.now();
+    const from = req.query.from ? new Date(isNaN(req.query.from) ? req.query.from : Number(req.query.from)).getTime() : to - DEFAULT_RANGE;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+    if (isNaN(from) || isNaN(to) || from > to || to - from > MAX_RANGE) {
+        next(clientError(400, 'The time range must be valid and span at most 31 days.'));
+        return;
+    }
+    if (type && !TYPES.includes(type)) {
+        next(clientError(400, `The event type must be one of: ${TYPES.join(', ')}.`));
+        return;
+    }
+    try {
+        res.json(await queryEvents({ from, to, limit, type, user, urn, outcome }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Viewers opened from a share link send its `share` token instead of a session
+async function authenticateViewer(req, res, next) {
+    if (!req.body.share) {
+        authenticate(req, res, next);
+        return;
+    }
+    try {
+        req.share = await resolveShare(req.body.share);
+        if (!req.share) {
+            next(clientError(401, 'The link is not valid, has expired, or was revoked.'));
+            return;
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+// Events reported by the viewer: a model was opened, and how long it took to load (`duration` in milliseconds)
+router.post('/api/audit/events', authenticateViewer, async function (req, res, next) {
+    const { type, urn, outcome = 'success', duration } = req.body;
+    if (!CLIENT_TYPES.includes(type) || !CLIENT_OUTCOMES.includes(outcome) || !urn || !parseUrn(urn)) {
+        next(clientError(400, `The event must have a type (${CLIENT_TYPES.join(', ')}), a valid URN, and an outcome (${CLIENT_OUTCOMES.join(', ')}).`));
+        return;
+    }
+    if (duration !== undefined && (!Number.isFinite(duration) || duration < 0)) {
+        next(clientError(400, 'The duration must be a number of milliseconds.'));
+        return;
+    }
+    if (req.share ? req.share.urn !== urn : !canAccessProject(req.user, parseUrn(urn).bucketKey)) {
+        next(clientError(404, 'Model not found.'));
+        return;
+    }
+    try {
+        await recordEvent(req, type, { urn, outcome, details: duration !== undefined ? { duration: Math.round(duration) } : undefined });
+        res.status(204).end();
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -1,34 +1,142 @@
-/*
 const express = require('express');
-const { getViewerToken } = require('../services/aps.js');
+const { getViewerToken, parseUrn } = require('../services/aps.js');
+const { provider, startLogin, finishLogin, startSession, endSession, authenticate, hasRole, canAccessProject } = require('../services/auth.js');
+const { resolveShare } = require('../services/shares.js');
+const { recordEvent } = require('../services/audit.js');
+const { clientError } = require('../services/errors.js');
+const { OIDC_REDIRECT_URI, SITE_URL } = require('../config.js');
 
 let router = express.Router();
+router.use('/api/auth', express.json());
 
-router.get('/api/auth/token', async function (req, res, next) {
+// `req.baseUrl` is the base path the app is served from, if any
+function getRedirectUri(req) {
+    return OIDC_REDIRECT_URI || `${SITE_URL || `${req.protocol}://${req.get('host')}`}${req.baseUrl}/api/auth/callback`;
+}
+
+// Back to the app, with the hash (selected project and model) the login started from.
+// Only ever a local path, so that the login cannot be used to send users to another site.
+function getReturnPath(req, hash) {
+    return `${req.baseUrl}/${typeof hash === 'string' && hash.startsWith('#') ? hash : ''}`;
+}
+
+router.get('/api/auth/provider', function (req, res) {
+    res.json({ type: provider.type });
+});
+
+router.post('/api/auth/login', async function (req, res, next) {
+    const { username, password } = req.body;
+    if (provider.type !== 'local') {
+        next(clientError(400, 'Please log in with the identity provider.'));
+        return;
+    }
+    if (!username || !password) {
+        next(clientError(400, 'The required fields ("username", "password") are missing.'));
+        return;
+    }
     try {
-        res.json(await getViewerToken());
+        const user = await provider.login(username, password);
+        if (!user) {
+            next(clientError(401, 'Invalid username or password.'));
+            return;
+        }
+        const token = startSession(req, res, user);
+        res.json({ user, token });
     } catch (err) {
         next(err);
     }
 });
 
-module.exports = router;
+// OIDC: redirects to the identity provider, which sends the user back to /api/auth/callback
+router.get('/api/auth/login', async function (req, res, next) {
+    if (provider.type !== 'oidc') {
+        res.redirect(`${req.baseUrl}/login.html`);
+        return;
+    }
+    try {
+        const { state, nonce } = startLogin(req, res, getReturnPath(req, req.query.return));
+        res.redirect(await provider.getLoginUrl(getRedirectUri(req), state, nonce));
+    } catch (err) {
+        next(err);
+    }
+});
 
-*/
+router.get('/api/auth/callback', async function (req, res, next) {
+    const login = finishLogin(req, res);
+    if (provider.type !== 'oidc' || !login || !req.query.code || req.query.state !== login.state) {
+        next(clientError(400, 'The login could not be verified, please try again.'));
+        return;
+    }
+    try {
+        const user = await provider.handleCallback(req.query.code, getRedirectUri(req), login.nonce);
+        if (!user) {
+            next(clientError(401, 'The identity provider did not confirm the login.'));
+            return;
+        }
+        startSession(req, res, user);
+        res.redirect(login.returnTo);
+    } catch (err) {
+        next(err);
+    }
+});
 
+router.post('/api/auth/logout', function (req, res) {
+    endSession(req, res);
+    res.status(204).end();
+});
 
-const serverless = require('serverless-http');
-const express = require('express');
-const { getViewerToken } = require('../services/aps.js');
+router.get('/api/auth/me', authenticate, function (req, res) {
+    res.json(req.user);
+});
 
-const app = express();
+// Viewer tokens are restricted to a single model (`?urn=`) or project bucket (`?bucket=`) the user has access to;
+// only admins may get one for all models of the app. Share links get a token for their one model, without logging in.
+router.get('/api/auth/token', async function (req, res, next) {
+    if (!req.query.share) {
+        next();
+        return;
+    }
+    try {
+        const share = await resolveShare(req.query.share);
+        if (!share) {
+            next(clientError(401, 'The link is not valid, has expired, or was revoked.'));
+            return;
+        }
+        req.share = share;
+        const token = await getViewerToken({ urn: share.urn });
+        await recordEvent(req, 'token', { urn: share.urn });
+        res.json(token);
+    } catch (err) {
+        next(err);
+    }
+});
 
-app.get('/api/auth/token', async function (req, res, next) {
+router.get('/api/auth/token', authenticate, async function (req, res, next) {
+    const { urn, bucket } = req.query;
+    if (!urn && !bucket && !hasRole(req.user, 'admin')) {
+        next(clientError(400, 'The token must be requested for a model ("urn") or a project ("bucket").'));
+        return;
+    }
+    if (urn && !parseUrn(urn)) {
+        next(clientError(400, 'The URN is not valid.'));
+        return;
+    }
+    if (bucket && !/^[-_.a-z0-9]{3,128}$/.test(bucket)) {
+        next(clientError(400, 'The bucket key is not valid.'));
+        return;
+    }
+    if ((urn && !canAccessProject(req.user, parseUrn(urn).bucketKey)) || (bucket && !canAccessProject(req.user, bucket))) {
+        await recordEvent(req, 'token', { urn, outcome: 'denied', details: { bucket } });
+        next(clientError(403, 'You do not have access to this project.'));
+        return;
+    }
     try {
-        res.json(await getViewerToken());
+        const token = await getViewerToken({ urn, bucket });
+        await recordEvent(req, 'token', { urn, details: { bucket } });
+        res.json(token);
     } catch (err) {
         next(err);
     }
 });
 
-module.exports.handler = serverless(app);
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { Region, PolicyKey } = require('@aps_sdk/oss');
+const { listBuckets, createBucket, ensureBucketExists } = require('../services/aps.js');
+const { createIndex } = require('../services/listing.js');
+const { authenticate, requireRole, canAccessProject } = require('../services/auth.js');
+const { getUpstreamStatus, clientError } = require('../services/errors.js');
+const { APS_BUCKET, APS_BUCKET_PREFIX, APS_STORE_BUCKET } = require('../config.js');
+
+let router = express.Router();
+router.use('/api/buckets', express.json(), authenticate);
+
+// Each project is kept in its own bucket; the project name is the bucket key without the app prefix
+function toProject(bucket) {
+    return {
+        key: bucket.bucketKey,
+        name: bucket.bucketKey.startsWith(APS_BUCKET_PREFIX) ? bucket.bucketKey.substring(APS_BUCKET_PREFIX.length) : bucket.bucketKey,
+        region: bucket.region,
+        policyKey: bucket.policyKey,
+        createdDate: bucket.createdDate,
+        default: bucket.bucketKey === APS_BUCKET
+    };
+}
+
+router.get('/api/buckets', async function (req, res, next) {
+    try {
+        await ensureBucketExists(APS_BUCKET);
+        const buckets = await listBuckets();
+        res.json(buckets.filter(bucket => bucket.bucketKey !== APS_STORE_BUCKET && canAccessProject(req.user, bucket.bucketKey)).map(toProject));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/api/buckets', requireRole('admin'), async function (req, res, next) {
+    const name = (req.body.name || '').trim().toLowerCase();
+    const policyKey = req.body.policyKey || PolicyKey.Persistent;
+    const region = req.body.region || Region.Us;
+    if (!/^[-_.a-z0-9]+$/.test(name) || (APS_BUCKET_PREFIX + name).length > 128) {
+        next(clientError(400, 'The project name may only contain letters, digits, "-", "_" and ".".'));
+        return;
+    }
+    if (!Object.values(PolicyKey).includes(policyKey)) {
+        next(clientError(400, `The retention policy must be one of: ${Object.values(PolicyKey).join(', ')}.`));
+        return;
+    }
+    if (!Object.values(Region).includes(region)) {
+        next(clientError(400, `The region must be one of: ${Object.values(Region).join(', ')}.`));
+        return;
+    }
+    try {
+        const bucket = await createBucket(APS_BUCKET_PREFIX + name, policyKey, region);
+        await createIndex(bucket.bucketKey);
+        res.json(toProject(bucket));
+    } catch (err) {
+        if (getUpstreamStatus(err) === 409) {
+            next(clientError(409, `Project ${name} already exists.`));
+        } else {
+            next(err);
+        }
+    }
+});
+
+module.exports = router;
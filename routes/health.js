@@ -0,0 +1,19 @@
+const express = require('express');
+const { authenticate, hasRole } = require('../services/auth.js');
+const { getHealth } = require('../services/health.js');
+
+let router = express.Router();
+router.use('/api/health', authenticate);
+
+// The health report of the APS integration (see services/health.js), answered with 503 while the backend is down.
+// Admins can ask for `fresh` checks instead of the cached report.
+router.get('/api/health', async function (req, res, next) {
+    try {
+        const health = await getHealth(req.query.fresh === 'true' && hasRole(req.user, 'admin'));
+        res.status(health.status === 'down' ? 503 : 200).json(health);
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const mock = require('../services/providers/mock.js');
+const { clientError } = require('../services/errors.js');
+const { APS_PROVIDER } = require('../config.js');
+
+// Stands in for the signed S3 and derivative URLs handed out by the local APS stand-in (services/providers/mock.js).
+// With the real APS provider there is nothing here.
+let router = express.Router();
+
+router.use('/api/mock', function (req, res, next) {
+    if (APS_PROVIDER !== 'mock') {
+        next(clientError(404, 'Not found.'));
+        return;
+    }
+    next();
+});
+
+router.put('/api/mock/uploads/:uploadKey/:part', express.raw({ type: () => true, limit: '16mb' }), async function (req, res, next) {
+    const part = parseInt(req.params.part);
+    if (!(part >= 1)) {
+        next(clientError(400, 'Invalid part number.'));
+        return;
+    }
+    try {
+        await mock.receivePart(req.params.uploadKey, part, req.body);
+        res.status(200).end();
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.get('/api/mock/objects/:urn', async function (req, res, next) {
+    if (!mock.verifyObjectUrl(req.params.urn, req.query)) {
+        next(clientError(403, 'The link is not valid or has expired.'));
+        return;
+    }
+    try {
+        const data = await mock.readObject(req.params.urn);
+        if (!data) {
+            next(clientError(404, 'Object not found.'));
+            return;
+        }
+        if (req.query.filename) {
+            res.attachment(req.query.filename);
+        }
+        res.type('application/octet-stream').send(data);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// The fake exports have no real content, so a short placeholder is sent instead
+router.get('/api/mock/derivatives', function (req, res) {
+    const { urn, derivative, filename } = req.query;
+    res.attachment(filename || 'export');
+    res.type('application/octet-stream').send(`Placeholder for ${derivative} of ${urn}, exported by the local APS stand-in.\n`);
+});
+
+module.exports = router;
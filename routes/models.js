@@ -1,128 +1,780 @@
-/*
+const { Readable, pipeline } = require('stream');
 const express = require('express');
 const formidable = require('express-formidable');
-const { listObjects, uploadObject, translateObject, getManifest, urnify } = require('../services/aps.js');
+const { uploadObject, getUploadUrls, completeUpload, translateObject, deleteObject, getModelViews, getObjectTree, getProperties, exportObject, getDerivativeDownload, getSourceDownload, getManifest, getObjectDetails, getThumbnail, getBucketRegion, urnify, parseUrn } = require('../services/aps.js');
+const { getStatus, waitForStatus, markPending, clearStatus } = require('../services/status.js');
+const { authenticate, requireRole, canAccessProject } = require('../services/auth.js');
+const { clientError } = require('../services/errors.js');
+const { getModelMeta, validateMetaChanges, updateModelMeta, recordUpload, deleteModelMeta } = require('../services/catalog.js');
+const { isArchive, inspectArchive, isCandidate } = require('../services/archive.js');
+const { recordEvent } = require('../services/audit.js');
+const { getListing, getModelOf, reserveNextObjectKey, versionExists, parseObjectKey, recordVersion, recordTranslation, pinVersion, deleteVersions, findVersionByHash } = require('../services/versions.js');
+const { APS_BUCKET } = require('../config.js');
+const translationProfiles = require('../translation-profiles.json');
+
+const MAX_PARTS_PER_REQUEST = 25; // OSS limit for signed S3 upload URLs per request
+const MAX_STATUS_WAIT = 8; // seconds, keeps long-polling requests within the function timeout
+const MAX_PROPERTIES_PER_PAGE = 1000;
+const EXPORT_TYPES = ['obj', 'ifc', 'stl', 'dwg', 'step', 'iges'];
+const THUMBNAIL_SIZES = [100, 200, 400];
+const THUMBNAIL_CACHE_TTL = 60 * 60 * 1000;
+const THUMBNAIL_CACHE_SIZE = 256;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const SHA1_HASH = /^[0-9a-f]{40}$/i;
+
+const SORT_ORDERS = {
+    name: (a, b) => (a.displayName || a.name).localeCompare(b.displayName || b.name),
+    date: (a, b) => (b.lastModified || 0) - (a.lastModified || 0),
+    size: (a, b) => (b.size || 0) - (a.size || 0)
+};
+
+// Thumbnails are cached per function instance on top of the HTTP caching headers
+const thumbnailCache = new Map();
+
+const OUTPUT_TYPES = ['svf', 'svf2'];
+const VIEW_TYPES = ['2d', '3d'];
+const REGIONS = ['US', 'EMEA', 'APAC'];
+
+// Combines a named translation profile with any options given explicitly in the request.
+// Returns an error message instead if the options are not valid.
+function getTranslationOptions(params) {
+    const profileName = params.profile || 'default';
+    const profile = translationProfiles[profileName];
+    if (!profile) {
+        return { error: `Unknown translation profile "${profileName}".` };
+    }
+    const options = {
+        profile: profileName,
+        type: params.type || profile.type,
+        views: params.views || profile.views,
+        region: params.region || profile.region,
+        advanced: params.advanced || profile.advanced,
+        force: params.force === true || params.force === 'true'
+    };
+    // Multipart form fields can only carry strings
+    if (typeof options.views === 'string') {
+        options.views = options.views.split(',');
+    }
+    if (typeof options.advanced === 'string') {
+        try {
+            options.advanced = JSON.parse(options.advanced);
+        } catch (err) {
+            return { error: 'The advanced options must be valid JSON.' };
+        }
+    }
+    if (!OUTPUT_TYPES.includes(options.type)) {
+        return { error: `The output type must be one of: ${OUTPUT_TYPES.join(', ')}.` };
+    }
+    if (!Array.isArray(options.views) || options.views.length === 0 || !options.views.every(view => VIEW_TYPES.includes(view))) {
+        return { error: `The views must be a list of: ${VIEW_TYPES.join(', ')}.` };
+    }
+    if (options.region && !REGIONS.includes(options.region)) {
+        return { error: `The region must be one of: ${REGIONS.join(', ')}.` };
+    }
+    if (options.advanced && typeof options.advanced !== 'object') {
+        return { error: 'The advanced options must be an object.' };
+    }
+    return { options };
+}
+
+// Derivatives are kept in the region of the model's bucket, as that is where the status, viewer and removal
+// look for them; a `region` option may only confirm it. Returns an error message for any other region.
+async function checkRegion(bucket, options) {
+    const region = await getBucketRegion(bucket);
+    if (options.region && options.region !== region) {
+        return `Models of this project are translated in its region (${region}).`;
+    }
+    return null;
+}
+
+// Metadata requests default to the master 3D view (or the first view) of the model
+async function resolveViewGuid(urn, guid) {
+    if (guid) {
+        return guid;
+    }
+    const views = await getModelViews(urn);
+    const view = views && (views.find(v => v.role === '3d' && v.isMasterView) || views.find(v => v.role === '3d') || views[0]);
+    return view ? view.guid : null;
+}
+
+// Model Derivative answers with 202 while it is still extracting the metadata
+function sendProcessing(res) {
+    res.status(202).set('Retry-After', '10').json({ status: 'processing' });
+}
+
+// The catalogue fields of a model as listed by the API
+function toModelMeta(meta) {
+    return {
+        displayName: meta.displayName,
+        description: meta.description,
+        discipline: meta.discipline,
+        tags: meta.tags || [],
+        revision: meta.revision,
+        uploadedBy: meta.uploadedBy
+    };
+}
+
+function getExtension(name) {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.substring(dot + 1).toLowerCase() : '';
+}
+
+// A model as listed by GET /api/models, with its current version
+function toListEntry(model) {
+    const { urn, size, sha1, lastModified } = model.current;
+    return {
+        name: model.modelId,
+        urn,
+        version: model.current.version,
+        versions: model.versions.length,
+        pinned: model.pinned,
+        extension: getExtension(model.modelId),
+        size,
+        sha1,
+        lastModified,
+        ...toModelMeta(model.summary)
+    };
+}
+
+function getModelFilter({ q, ext, discipline, name, urn }) {
+    const query = (q || '').trim().toLowerCase();
+    const extensions = (ext || '').split(',').map(extension => extension.trim().replace(/^\./, '').toLowerCase()).filter(extension => extension);
+    return (model) => (!query || [model.name, model.displayName, model.description, model.revision, ...model.tags].some(text => text && text.toLowerCase().includes(query)))
+        && (extensions.length === 0 || extensions.includes(model.extension))
+        && (!discipline || model.discipline === discipline)
+        && (!name || model.name === name)
+        && (!urn || model.urn === urn);
+}
+
+// The versions of a model as listed by the API, newest first
+async function toVersionList(model) {
+    const versions = await Promise.all(model.versions.slice().reverse().map(async (v) => {
+        const [details, status] = await Promise.all([getObjectDetails(model.bucketKey, v.objectKey), getStatus(v.urn)]);
+        return {
+            version: v.version,
+            urn: v.urn,
+            size: v.size,
+            lastModified: details.lastModifiedDate,
+            uploadedBy: v.uploadedBy,
+            uploadedAt: v.uploadedAt,
+            status: status.status
+        };
+    }));
+    return {
+        name: model.modelId,
+        current: model.current.version,
+        pinned: model.pinned,
+        versions
+    };
+}
+
+// Archives are only translated once the root design file is chosen from the files in them. Starts the
+// translation of a new upload, or for an archive without a valid `rootFilename` returns its candidates instead.
+async function translateUpload(req, urn, rootFilename, options) {
+    if (isArchive(urn)) {
+        const archive = await inspectArchive(urn);
+        if (!isCandidate(archive, rootFilename)) {
+            return { archive };
+        }
+    } else {
+        rootFilename = undefined;
+    }
+    await translateObject(urn, rootFilename, options);
+    await markPending(urn);
+    await recordTranslation(urn, rootFilename, options);
+    await recordEvent(req, 'translate', { urn, details: { rootFilename, profile: options.profile, type: options.type } });
+    return {};
+}
+
+// Uploads go to a new version of the model named like the file; a name is all one object key segment
+function checkModelName(name) {
+    return name.includes('/') ? clientError(400, 'The model name may not contain slashes.') : null;
+}
+
+function isAllowed(value) {
+    return value === true || value === 'true';
+}
+
+// The model version already holding a file with the given SHA-1 hash, whose object and derivatives
+// can be used instead of uploading and translating the file again, or `null`
+async function findDuplicate(bucket, sha1) {
+    const found = await findVersionByHash(bucket, sha1);
+    if (!found) {
+        return null;
+    }
+    const { model, version } = found;
+    return {
+        name: model.modelId,
+        urn: version.urn,
+        version: version.version,
+        current: version === model.current,
+        status: (await getStatus(version.urn)).status
+    };
+}
+
+// Collects the downloadable files of an export derivative from its (nested) children
+function listExportFiles(node) {
+    let files = [];
+    for (const child of node.children || []) {
+        if (child.type === 'resource' && child.urn && child.role !== 'thumbnail') {
+            files.push({
+                name: decodeURIComponent(child.urn.substring(child.urn.lastIndexOf('/') + 1)),
+                role: child.role,
+                mime: child.mime,
+                derivative: child.urn
+            });
+        }
+        files = files.concat(listExportFiles(child));
+    }
+    return files;
+}
 
 let router = express.Router();
+router.use('/api/models', express.json(), authenticate);
 
+// Models can only be reached by the members of the project (bucket) they are kept in
+router.param('urn', function (req, res, next, urn) {
+    const object = parseUrn(urn);
+    if (!object || !canAccessProject(req.user, object.bucketKey)) {
+        next(clientError(404, 'Model not found.'));
+        return;
+    }
+    next();
+});
+
+function checkProjectAccess(req, bucket) {
+    return canAccessProject(req.user, bucket) ? null : clientError(403, 'You do not have access to this project.');
+}
+
+// One page of the models of a project, with the current version of each. Served from the listing index
+// (see services/listing.js), so only the models on the page need their status looked up; `indexing` tells that
+// the index of the project is still being built and may miss models.
+// Query: `limit`, `cursor` (the `next` of the previous page), `q` (searches the name and catalogue details),
+// `sort` (name, date or size), `ext` (extensions, comma-separated), `discipline`, `group=discipline`
+// (models without a discipline last), and `name` or `urn` to find a single model.
 router.get('/api/models', async function (req, res, next) {
+    const bucket = req.query.bucket || APS_BUCKET;
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(req.query.limit);
+    const offset = req.query.cursor === undefined ? 0 : parseInt(req.query.cursor);
+    const sort = req.query.sort || 'name';
+    if (!(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+        next(clientError(400, `The limit must be between 1 and ${MAX_PAGE_SIZE}.`));
+        return;
+    }
+    if (!(offset >= 0)) {
+        next(clientError(400, 'The cursor is not valid.'));
+        return;
+    }
+    if (!SORT_ORDERS[sort]) {
+        next(clientError(400, `The sort order must be one of: ${Object.keys(SORT_ORDERS).join(', ')}.`));
+        return;
+    }
+    const accessError = checkProjectAccess(req, bucket);
+    if (accessError) {
+        next(accessError);
+        return;
+    }
     try {
-        const objects = await listObjects();
-        res.json(objects.map(o => ({
-            name: o.objectKey,
-            urn: urnify(o.objectId)
-        })));
+        const listing = await getListing(bucket);
+        const models = listing.models.map(toListEntry);
+        const matches = models.filter(getModelFilter(req.query));
+        matches.sort(SORT_ORDERS[sort]);
+        if (req.query.group === 'discipline') {
+            matches.sort((a, b) => !a.discipline === !b.discipline ? (a.discipline || '').localeCompare(b.discipline || '') : a.discipline ? -1 : 1);
+        }
+        const page = matches.slice(offset, offset + limit);
+        await Promise.all(page.map(async (model) => {
+            model.status = (await getStatus(model.urn)).status;
+        }));
+        res.json({
+            models: page,
+            total: matches.length,
+            next: offset + limit < matches.length ? String(offset + limit) : null,
+            disciplines: [...new Set(models.map(model => model.discipline).filter(discipline => discipline))].sort(),
+            extensions: [...new Set(models.map(model => model.extension).filter(extension => extension))].sort(),
+            indexing: listing.indexing
+        });
     } catch (err) {
         next(err);
     }
 });
 
+router.get('/api/models/translation-profiles', function (req, res) {
+    res.json(Object.entries(translationProfiles).map(([name, profile]) => ({ name, ...profile })));
+});
+
+// Served from the status store, which the translation webhooks keep up to date.
+// With `wait` (in seconds) the request is held until the status changes after `since`.
 router.get('/api/models/:urn/status', async function (req, res, next) {
+    const wait = Math.min(parseInt(req.query.wait) || 0, MAX_STATUS_WAIT);
+    const since = parseInt(req.query.since) || 0;
     try {
-        const manifest = await getManifest(req.params.urn);
-        if (manifest) {
-            let messages = [];
-            if (manifest.derivatives) {
-                for (const derivative of manifest.derivatives) {
-                    messages = messages.concat(derivative.messages || []);
-                    if (derivative.children) {
-                        for (const child of derivative.children) {
-                            messages.concat(child.messages || []);
-                        }
-                    }
-                }
-            }
-            res.json({ status: manifest.status, progress: manifest.progress, messages });
-        } else {
-            res.json({ status: 'n/a' });
-        }
+        const status = wait > 0
+            ? await waitForStatus(req.params.urn, since, wait * 1000)
+            : await getStatus(req.params.urn);
+        res.json(status);
     } catch (err) {
         next(err);
     }
 });
 
-router.post('/api/models', formidable({ maxFileSize: Infinity }), async function (req, res, next) {
+// The file is hashed while it is received; unless `allowDuplicate` is set, a file already in the project
+// is not uploaded again, and the response names the existing `duplicate` to use instead.
+router.post('/api/models', requireRole('uploader'), formidable({ maxFileSize: Infinity, hash: 'sha1' }), async function (req, res, next) {
     const file = req.files['model-file'];
+    const bucket = req.fields.bucket || APS_BUCKET;
     if (!file) {
-        res.status(400).send('The required field ("model-file") is missing.');
+        next(clientError(400, 'The required field ("model-file") is missing.'));
+        return;
+    }
+    const requestError = checkModelName(file.name) || checkProjectAccess(req, bucket);
+    if (requestError) {
+        next(requestError);
+        return;
+    }
+    const { options, error } = getTranslationOptions(req.fields);
+    if (error) {
+        next(clientError(400, error));
         return;
     }
     try {
-        const obj = await uploadObject(file.name, file.path);
-        await translateObject(urnify(obj.objectId), req.fields['model-zip-entrypoint']);
+        const regionError = await checkRegion(bucket, options);
+        if (regionError) {
+            next(clientError(400, regionError));
+            return;
+        }
+        const duplicate = isAllowed(req.fields.allowDuplicate) ? null : await findDuplicate(bucket, file.hash);
+        if (duplicate) {
+            res.json({ name: file.name, duplicate });
+            return;
+        }
+        const obj = await uploadObject(await reserveNextObjectKey(bucket, file.name, req.user.username), file.path, bucket);
+        await recordUpload(urnify(obj.objectId), req.user.username);
+        await recordVersion(obj, req.user.username);
+        await recordEvent(req, 'upload', { urn: urnify(obj.objectId), details: { name: file.name, size: file.size } });
+        const { archive } = await translateUpload(req, urnify(obj.objectId), req.fields['model-zip-entrypoint'], options);
         res.json({
-            name: obj.objectKey,
-            urn: urnify(obj.objectId)
+            name: file.name,
+            urn: urnify(obj.objectId),
+            version: parseObjectKey(obj.objectKey).version,
+            archive
         });
     } catch (err) {
+        await recordEvent(req, 'upload', { outcome: 'failure', details: { name: file.name, error: err.message } });
         next(err);
     }
 });
 
-module.exports = router;
+router.get('/api/models/:urn/thumbnail', async function (req, res, next) {
+    const size = parseInt(req.query.size) || 200;
+    if (!THUMBNAIL_SIZES.includes(size)) {
+        next(clientError(400, `The thumbnail size must be one of: ${THUMBNAIL_SIZES.join(', ')}.`));
+        return;
+    }
+    const key = `${req.params.urn}:${size}`;
+    try {
+        let cached = thumbnailCache.get(key);
+        if (!cached || cached.expiresAt < Date.now()) {
+            const data = await getThumbnail(req.params.urn, size);
+            if (!data) {
+                next(clientError(404, 'Model has no thumbnail.'));
+                return;
+            }
+            cached = { data, expiresAt: Date.now() + THUMBNAIL_CACHE_TTL };
+            thumbnailCache.delete(key);
+            thumbnailCache.set(key, cached);
+            if (thumbnailCache.size > THUMBNAIL_CACHE_SIZE) {
+                thumbnailCache.delete(thumbnailCache.keys().next().value);
+            }
+        }
+        res.set('Cache-Control', `private, max-age=${THUMBNAIL_CACHE_TTL / 1000}`);
+        res.type('png').send(cached.data);
+    } catch (err) {
+        next(err);
+    }
+});
 
-*/
+router.get('/api/models/:urn/metadata', async function (req, res, next) {
+    try {
+        const views = await getModelViews(req.params.urn);
+        if (!views) {
+            next(clientError(404, 'Model has not been translated.'));
+            return;
+        }
+        res.json(views);
+    } catch (err) {
+        next(err);
+    }
+});
 
+router.get('/api/models/:urn/tree', async function (req, res, next) {
+    try {
+        const guid = await resolveViewGuid(req.params.urn, req.query.guid);
+        if (!guid) {
+            next(clientError(404, 'Model has not been translated.'));
+            return;
+        }
+        const tree = await getObjectTree(req.params.urn, guid, {
+            objectId: parseInt(req.query.objectId) || undefined,
+            level: req.query.level
+        });
+        if (!tree) {
+            sendProcessing(res);
+            return;
+        }
+        res.json({ guid, ...tree });
+    } catch (err) {
+        next(err);
+    }
+});
 
-const serverless = require('serverless-http');
-const express = require('express');
-const formidable = require('express-formidable');
-const { listObjects, uploadObject, translateObject, getManifest, urnify } = require('../services/aps.js');
+// Query parameters: `guid`, `objectIds` (comma-separated), `name` (prefix), `fields` (comma-separated,
+// e.g. "objectid,name,properties.Dimensions.*"), `offset` and `limit`.
+router.get('/api/models/:urn/properties', async function (req, res, next) {
+    const objectIds = req.query.objectIds ? req.query.objectIds.split(',').map(id => parseInt(id)).filter(id => !isNaN(id)) : undefined;
+    const fields = req.query.fields ? req.query.fields.split(',') : undefined;
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), MAX_PROPERTIES_PER_PAGE);
+    try {
+        const guid = await resolveViewGuid(req.params.urn, req.query.guid);
+        if (!guid) {
+            next(clientError(404, 'Model has not been translated.'));
+            return;
+        }
+        const props = await getProperties(req.params.urn, guid, { objectIds, name: req.query.name, fields, offset, limit });
+        if (!props) {
+            sendProcessing(res);
+            return;
+        }
+        res.json({ guid, ...props });
+    } catch (err) {
+        next(err);
+    }
+});
 
-const app = express();
+// Body: `type` (one of EXPORT_TYPES), optional `objectIds` and `guid` to limit OBJ exports
+// to some objects of a view, and optional format-specific `advanced` options.
+router.post('/api/models/:urn/exports', requireRole('uploader'), async function (req, res, next) {
+    const { type, objectIds } = req.body;
+    if (!EXPORT_TYPES.includes(type)) {
+        next(clientError(400, `The export type must be one of: ${EXPORT_TYPES.join(', ')}.`));
+        return;
+    }
+    if (objectIds && (type !== 'obj' || !Array.isArray(objectIds))) {
+        next(clientError(400, 'A list of object IDs can only be given for OBJ exports.'));
+        return;
+    }
+    try {
+        let advanced = req.body.advanced;
+        if (objectIds) {
+            const modelGuid = await resolveViewGuid(req.params.urn, req.body.guid);
+            if (!modelGuid) {
+                next(clientError(404, 'Model has not been translated.'));
+                return;
+            }
+            advanced = { ...advanced, modelGuid, objectIds };
+        }
+        const result = await exportObject(req.params.urn, type, advanced);
+        res.json({ urn: req.params.urn, type, result });
+    } catch (err) {
+        next(err);
+    }
+});
 
-app.get('/api/models', async function (req, res, next) {
+router.get('/api/models/:urn/exports', async function (req, res, next) {
     try {
-        const objects = await listObjects();
-        res.json(objects.map(o => ({
-            name: o.objectKey,
-            urn: urnify(o.objectId)
+        const manifest = await getManifest(req.params.urn);
+        const derivatives = ((manifest && manifest.derivatives) || []).filter(derivative => EXPORT_TYPES.includes(derivative.outputType));
+        res.json(derivatives.map(derivative => ({
+            type: derivative.outputType,
+            status: derivative.status,
+            progress: derivative.progress,
+            messages: derivative.messages || [],
+            files: derivative.status === 'success' ? listExportFiles(derivative) : []
         })));
     } catch (err) {
         next(err);
     }
 });
 
-app.get('/api/models/:urn/status', async function (req, res, next) {
+// Redirects to a short-lived signed URL by default, as function responses are limited in size.
+// With `mode=stream` the file is passed through the server instead.
+router.get('/api/models/:urn/exports/download', async function (req, res, next) {
+    const { derivative } = req.query;
+    if (!derivative) {
+        next(clientError(400, 'The required parameter ("derivative") is missing.'));
+        return;
+    }
+    const filename = decodeURIComponent(derivative.substring(derivative.lastIndexOf('/') + 1));
     try {
-        const manifest = await getManifest(req.params.urn);
-        if (manifest) {
-            let messages = [];
-            if (manifest.derivatives) {
-                for (const derivative of manifest.derivatives) {
-                    messages = messages.concat(derivative.messages || []);
-                    if (derivative.children) {
-                        for (const child of derivative.children) {
-                            messages.concat(child.messages || []);
-                        }
-                    }
-                }
+        const download = await getDerivativeDownload(req.params.urn, derivative, filename);
+        if (req.query.mode !== 'stream') {
+            res.redirect(download.url);
+            return;
+        }
+        const resp = await fetch(download.url);
+        if (!resp.ok) {
+            throw new Error(`Could not download ${filename} (${resp.status}).`);
+        }
+        res.attachment(filename).type('application/octet-stream');
+        // Once streaming, failures can only cut the response short (serverless-http also reports complete responses
+        // as closed early, hence the check that the response has not ended)
+        pipeline(Readable.fromWeb(resp.body), res, (err) => {
+            if (err && !res.writableEnded) {
+                console.error(`Could not stream ${filename}.`, err);
+                res.destroy(err);
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// The original uploaded file of a model version, as a short-lived signed URL to download it from
+router.get('/api/models/:urn/source', requireRole('uploader'), async function (req, res, next) {
+    try {
+        const { objectKey } = parseUrn(req.params.urn);
+        const filename = parseObjectKey(objectKey).modelId;
+        const download = await getSourceDownload(req.params.urn, filename);
+        res.json({ name: filename, url: download.url, expiration: download.expiration });
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.get('/api/models/:urn/meta', async function (req, res, next) {
+    try {
+        res.json(toModelMeta(await getModelMeta(req.params.urn)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Body: any of `displayName`, `description`, `discipline`, `tags` (list or comma-separated) and `revision`;
+// fields left out are kept, empty ones are cleared
+router.patch('/api/models/:urn/meta', requireRole('uploader'), async function (req, res, next) {
+    const { changes, error } = validateMetaChanges(req.body || {});
+    if (error) {
+        next(clientError(400, error));
+        return;
+    }
+    try {
+        res.json(toModelMeta(await updateModelMeta(req.params.urn, changes, req.user.username)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/api/models/:urn/translate', requireRole('uploader'), async function (req, res, next) {
+    const { options, error } = getTranslationOptions(req.body);
+    if (error) {
+        next(clientError(400, error));
+        return;
+    }
+    try {
+        const regionError = await checkRegion(parseUrn(req.params.urn).bucketKey, options);
+        if (regionError) {
+            next(clientError(400, regionError));
+            return;
+        }
+        let rootFilename;
+        if (isArchive(req.params.urn)) {
+            rootFilename = req.body.rootFilename;
+            if (!isCandidate(await inspectArchive(req.params.urn), rootFilename)) {
+                next(clientError(400, 'The root filename must be one of the design files in the archive.'));
+                return;
             }
-            res.json({ status: manifest.status, progress: manifest.progress, messages });
-        } else {
-            res.json({ status: 'n/a' });
         }
+        const result = await translateObject(req.params.urn, rootFilename, options);
+        await markPending(req.params.urn);
+        await recordTranslation(req.params.urn, rootFilename, options);
+        await recordEvent(req, 'translate', { urn: req.params.urn, details: { rootFilename, profile: options.profile, type: options.type } });
+        res.json({ urn: req.params.urn, result });
     } catch (err) {
+        await recordEvent(req, 'translate', { urn: req.params.urn, outcome: 'failure', details: { error: err.message } });
         next(err);
     }
 });
 
-app.post('/api/models', formidable({ maxFileSize: Infinity }), async function (req, res, next) {
-    const file = req.files['model-file'];
-    if (!file) {
-        res.status(400).send('The required field ("model-file") is missing.');
+// The design files in an uploaded ZIP archive that a translation can start from, best candidates first
+router.get('/api/models/:urn/archive', async function (req, res, next) {
+    if (!isArchive(req.params.urn)) {
+        next(clientError(400, 'The model is not a ZIP archive.'));
+        return;
+    }
+    try {
+        res.json(await inspectArchive(req.params.urn));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.get('/api/models/:urn/versions', async function (req, res, next) {
+    try {
+        const model = await getModelOf(req.params.urn);
+        if (!model) {
+            next(clientError(404, 'Model not found.'));
+            return;
+        }
+        res.json(await toVersionList(model));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Pins the version that is listed (and opened) as the model's current one; `null` unpins it,
+// making the latest version current again.
+router.put('/api/models/:urn/versions/current', requireRole('admin'), async function (req, res, next) {
+    const { version } = req.body;
+    if (version !== null && !Number.isInteger(version)) {
+        next(clientError(400, 'The version must be a version number or null.'));
+        return;
+    }
+    try {
+        const model = await getModelOf(req.params.urn);
+        if (!model) {
+            next(clientError(404, 'Model not found.'));
+            return;
+        }
+        if (version !== null && !model.versions.some(v => v.version === version)) {
+            next(clientError(400, `The model has no version ${version}.`));
+            return;
+        }
+        await pinVersion(req.params.urn, version);
+        res.json(await toVersionList(await getModelOf(req.params.urn)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Removes the model with all its versions
+router.delete('/api/models/:urn', requireRole('admin'), async function (req, res, next) {
+    try {
+        const model = await getModelOf(req.params.urn);
+        if (!model) {
+            next(clientError(404, 'Model not found.'));
+            return;
+        }
+        for (const v of model.versions) {
+            await deleteObject(v.urn);
+            await clearStatus(v.urn);
+        }
+        await deleteModelMeta(req.params.urn);
+        await deleteVersions(model);
+        await recordEvent(req, 'delete', { urn: req.params.urn, details: { name: model.modelId, versions: model.versions.length } });
+        res.status(204).end();
+    } catch (err) {
+        await recordEvent(req, 'delete', { urn: req.params.urn, outcome: 'failure', details: { error: err.message } });
+        next(err);
+    }
+});
+
+// Direct-to-storage uploads: the browser asks for signed URLs for a range of parts,
+// PUTs the parts straight to S3, and finally asks the server to complete the object.
+// The first call reserves the object key of the new version; calling this again with the same
+// `uploadKey` and `objectKey` returns fresh URLs for a resumed upload. An upload that another upload of the
+// same name beat to its version is refused when completing (409), and starts again for the next version.
+// A new upload may give the `sha1` hash of the file: unless `allowDuplicate` is set, a file already in the
+// project is not uploaded again, and the response names the existing `duplicate` to use instead of URLs.
+router.post('/api/models/uploads', requireRole('uploader'), async function (req, res, next) {
+    const { name, uploadKey, objectKey, sha1 } = req.body;
+    const bucket = req.body.bucket || APS_BUCKET;
+    const parts = parseInt(req.body.parts) || 1;
+    const firstPart = parseInt(req.body.firstPart) || 1;
+    if (!name) {
+        next(clientError(400, 'The required field ("name") is missing.'));
+        return;
+    }
+    if (parts < 1 || parts > MAX_PARTS_PER_REQUEST || firstPart < 1) {
+        next(clientError(400, `Between 1 and ${MAX_PARTS_PER_REQUEST} parts can be requested at a time.`));
+        return;
+    }
+    if (!uploadKey !== !objectKey) {
+        next(clientError(400, 'The fields "uploadKey" and "objectKey" are only given together, to resume an upload.'));
+        return;
+    }
+    if (objectKey && parseObjectKey(objectKey).modelId !== name) {
+        next(clientError(400, 'The object key does not belong to this model.'));
+        return;
+    }
+    if (sha1 !== undefined && !SHA1_HASH.test(sha1)) {
+        next(clientError(400, 'The sha1 must be a SHA-1 hash in hexadecimal.'));
+        return;
+    }
+    const requestError = checkModelName(name) || checkProjectAccess(req, bucket);
+    if (requestError) {
+        next(requestError);
+        return;
+    }
+    try {
+        const duplicate = uploadKey || !sha1 || isAllowed(req.body.allowDuplicate) ? null : await findDuplicate(bucket, sha1.toLowerCase());
+        if (duplicate) {
+            res.json({ name, duplicate });
+            return;
+        }
+        const key = objectKey || await reserveNextObjectKey(bucket, name, req.user.username);
+        const upload = await getUploadUrls(key, parts, firstPart, uploadKey, bucket);
+        res.json({
+            name,
+            objectKey: key,
+            uploadKey: upload.uploadKey,
+            firstPart,
+            urls: upload.urls,
+            urlExpiration: upload.urlExpiration,
+            uploadExpiration: upload.uploadExpiration
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/api/models/uploads/complete', requireRole('uploader'), async function (req, res, next) {
+    const { name, uploadKey, objectKey, size } = req.body;
+    const bucket = req.body.bucket || APS_BUCKET;
+    if (!name || !uploadKey || !objectKey) {
+        next(clientError(400, 'The required fields ("name", "uploadKey", "objectKey") are missing.'));
+        return;
+    }
+    if (parseObjectKey(objectKey).modelId !== name) {
+        next(clientError(400, 'The object key does not belong to this model.'));
+        return;
+    }
+    const accessError = checkProjectAccess(req, bucket);
+    if (accessError) {
+        next(accessError);
+        return;
+    }
+    const { options, error } = getTranslationOptions(req.body);
+    if (error) {
+        next(clientError(400, error));
         return;
     }
     try {
-        const obj = await uploadObject(file.name, file.path);
-        await translateObject(urnify(obj.objectId), req.fields['model-zip-entrypoint']);
+        const regionError = await checkRegion(bucket, options);
+        if (regionError) {
+            next(clientError(400, regionError));
+            return;
+        }
+        if (await versionExists(bucket, objectKey)) {
+            next(clientError(409, `Version ${parseObjectKey(objectKey).version} of ${name} has been uploaded meanwhile, please upload the file again.`));
+            return;
+        }
+        const obj = await completeUpload(objectKey, uploadKey, size, bucket);
+        await recordUpload(urnify(obj.objectId), req.user.username);
+        await recordVersion(obj, req.user.username);
+        await recordEvent(req, 'upload', { urn: urnify(obj.objectId), details: { name, size } });
+        const { archive } = await translateUpload(req, urnify(obj.objectId), req.body['model-zip-entrypoint'], options);
         res.json({
-            name: obj.objectKey,
-            urn: urnify(obj.objectId)
+            name,
+            urn: urnify(obj.objectId),
+            version: parseObjectKey(obj.objectKey).version,
+            archive
         });
     } catch (err) {
+        await recordEvent(req, 'upload', { outcome: 'failure', details: { name, error: err.message } });
         next(err);
     }
 });
 
-module.exports.handler = serverless(app);
\ No newline at end of file
+module.exports = router;
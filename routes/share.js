@@ -0,0 +1,94 @@
+const express = require('express');
+const { getObjectDetails, parseUrn } = require('../services/aps.js');
+const { authenticate, requireRole, canAccessProject } = require('../services/auth.js');
+const { validateShareOptions, createShare, getShareToken, resolveShare, getShare, listShares, canManageShare, revokeShare } = require('../services/shares.js');
+const { parseObjectKey } = require('../services/versions.js');
+const { clientError } = require('../services/errors.js');
+const { SITE_URL } = require('../config.js');
+
+let router = express.Router();
+router.use('/api/share', express.json());
+
+// The viewer opens shared models from "#share=<token>"; `req.baseUrl` is the base path the app is served from
+function getShareUrl(req, share) {
+    return `${SITE_URL || `${req.protocol}://${req.get('host')}`}${req.baseUrl}/#share=${getShareToken(share)}`;
+}
+
+function toShareInfo(req, share) {
+    return {
+        id: share.id,
+        urn: share.urn,
+        name: share.name,
+        url: getShareUrl(req, share),
+        hasView: !!share.view,
+        createdBy: share.createdBy,
+        createdAt: share.createdAt,
+        expiresAt: share.expiresAt
+    };
+}
+
+// Creates a link to one model (version) for people without an account, optionally opening at a saved view
+router.post('/api/share', authenticate, requireRole('uploader'), async function (req, res, next) {
+    const { urn } = req.body;
+    const object = urn && parseUrn(urn);
+    if (!object) {
+        next(clientError(400, 'The required field ("urn") is missing or not valid.'));
+        return;
+    }
+    if (!canAccessProject(req.user, object.bucketKey)) {
+        next(clientError(404, 'Model not found.'));
+        return;
+    }
+    const { expiresIn, view, error } = validateShareOptions(req.body);
+    if (error) {
+        next(clientError(400, error));
+        return;
+    }
+    try {
+        await getObjectDetails(object.bucketKey, object.objectKey); // 404 for models that do not exist
+        const { modelId, version } = parseObjectKey(object.objectKey);
+        const share = await createShare(urn, version > 1 ? `${modelId} (v${version})` : modelId, { expiresIn, view }, req.user.username);
+        res.json(toShareInfo(req, share));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.get('/api/share', authenticate, async function (req, res, next) {
+    try {
+        const shares = await listShares(req.user, req.query.urn);
+        res.json(shares.map(share => toShareInfo(req, share)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// What a share link opens, for anyone holding its token
+router.get('/api/share/link', async function (req, res, next) {
+    try {
+        const share = await resolveShare(req.query.token);
+        if (!share) {
+            next(clientError(404, 'The link is not valid, has expired, or was revoked.'));
+            return;
+        }
+        res.json({ urn: share.urn, name: share.name, view: share.view, expiresAt: share.expiresAt });
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete('/api/share/:id', authenticate, async function (req, res, next) {
+    try {
+        const share = await getShare(req.params.id);
+        if (!share || !canManageShare(req.user, share)) {
+            next(clientError(404, 'Share link not found.'));
+            return;
+        }
+        await revokeShare(share.id);
+        res.status(204).end();
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getManifest, urnify } = require('../services/aps.js');
+const { recordManifest } = require('../services/status.js');
+const { clientError } = require('../services/errors.js');
+const { APS_WEBHOOK_SECRET } = require('../config.js');
+
+const TRANSLATION_EVENTS = ['extraction.updated', 'extraction.finished'];
+
+let router = express.Router();
+router.use('/api/webhooks', express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+// When a secret has been registered with APS, every webhook call is signed with it
+function hasValidSignature(req) {
+    if (!APS_WEBHOOK_SECRET) {
+        return true;
+    }
+    const signature = req.get('x-adsk-signature') || '';
+    const expected = 'sha1hash=' + crypto.createHmac('sha1', APS_WEBHOOK_SECRET).update(req.rawBody || '').digest('hex');
+    return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// Receives the Model Derivative translation events. The payloads only carry a summary,
+// so the current manifest is fetched and recorded in the status store.
+router.post('/api/webhooks/derivative', async function (req, res, next) {
+    if (!hasValidSignature(req)) {
+        next(clientError(401, 'Invalid webhook signature.'));
+        return;
+    }
+    const { hook, payload, resourceUrn } = req.body;
+    if (!hook || !TRANSLATION_EVENTS.includes(hook.event)) {
+        res.status(204).end();
+        return;
+    }
+    let urn = (payload && payload.URN) || resourceUrn;
+    if (!urn) {
+        next(clientError(400, 'The webhook payload does not contain a URN.'));
+        return;
+    }
+    if (urn.startsWith('urn:')) {
+        urn = urnify(urn);
+    }
+    try {
+        const manifest = await getManifest(urn);
+        if (manifest) {
+            await recordManifest(urn, manifest);
+        }
+        res.status(204).end();
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
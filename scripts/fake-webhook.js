@@ -0,0 +1,36 @@
+// Local stand-in for the Model Derivative webhooks: sends a fake translation event for a model, e.g.:
+//   node scripts/fake-webhook.js <urn> [extraction.updated|extraction.finished] [http://localhost:8888]
+const crypto = require('crypto');
+const { APS_WEBHOOK_WORKFLOW, APS_WEBHOOK_SECRET } = require('../config.js');
+
+const [urn, event = 'extraction.finished', baseUrl = 'http://localhost:8888'] = process.argv.slice(2);
+if (!urn) {
+    console.error('Usage: node scripts/fake-webhook.js <urn> [event] [base-url]');
+    process.exit(1);
+}
+
+const body = JSON.stringify({
+    version: '1.0.0',
+    resourceUrn: urn,
+    hook: {
+        system: 'derivative',
+        event,
+        scope: { workflow: APS_WEBHOOK_WORKFLOW }
+    },
+    payload: {
+        URN: urn,
+        WorkflowId: APS_WEBHOOK_WORKFLOW,
+        Progress: event === 'extraction.finished' ? 'complete' : '50% complete'
+    }
+});
+const headers = { 'Content-Type': 'application/json' };
+if (APS_WEBHOOK_SECRET) {
+    headers['x-adsk-signature'] = 'sha1hash=' + crypto.createHmac('sha1', APS_WEBHOOK_SECRET).update(body).digest('hex');
+}
+
+fetch(`${baseUrl}/api/webhooks/derivative`, { method: 'POST', headers, body })
+    .then(async resp => console.log(resp.status, await resp.text()))
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
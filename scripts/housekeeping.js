@@ -0,0 +1,63 @@
+// Applies the retention rules of the scheduled housekeeping function on demand, e.g.:
+//   node scripts/housekeeping.js --dry-run
+//   node scripts/housekeeping.js --scratch-days 3 --no-retranslate
+// Without options the rules come from the HOUSEKEEPING_* environment variables, as for the scheduled function.
+const { runHousekeeping, getRules } = require('../services/housekeeping.js');
+
+const USAGE = 'Usage: node scripts/housekeeping.js [--dry-run] [--scratch-tag <tag>] [--scratch-days <days>] [--no-purge-failed] [--no-retranslate] [--max-translations <count>]';
+
+let dryRun = false;
+let rules = getRules();
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case '--dry-run':
+            dryRun = true;
+            break;
+        case '--scratch-tag':
+            rules.scratchTag = (args[++i] || '').toLowerCase();
+            break;
+        case '--scratch-days':
+            rules.scratchDays = parseFloat(args[++i]);
+            break;
+        case '--no-purge-failed':
+            rules.purgeFailed = false;
+            break;
+        case '--no-retranslate':
+            rules.retranslate = false;
+            break;
+        case '--max-translations':
+            rules.maxTranslations = parseInt(args[++i]);
+            break;
+        default:
+            console.error(USAGE);
+            process.exit(1);
+    }
+}
+if (!rules.scratchTag || !(rules.scratchDays >= 0) || !(rules.maxTranslations >= 0)) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+function print(title, entries, describe) {
+    console.log(`${title}: ${entries.length}`);
+    for (const entry of entries) {
+        console.log(`  ${entry.bucket}/${entry.name || ''}${entry.version ? ` v${entry.version}` : ''}${describe ? ` ${describe(entry)}` : ''}`);
+    }
+}
+
+runHousekeeping({ dryRun, rules })
+    .then(report => {
+        console.log(`${dryRun ? 'Dry run, nothing changed. ' : ''}Checked ${report.models} models in ${report.buckets} projects.`);
+        print('Removed scratch models', report.removed, entry => `(${entry.versions} versions)`);
+        print('Purged failed translations', report.purged, entry => `(${entry.status})`);
+        print('Translated again', report.retranslated, entry => `(${entry.profile}${entry.rootFilename ? `, from ${entry.rootFilename}` : ''})`);
+        print('Expired older versions', report.expired);
+        print('Skipped', report.skipped, entry => `(${entry.reason})`);
+        print('Errors', report.errors, entry => `(${entry.error})`);
+        process.exit(report.errors.length > 0 ? 1 : 0);
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
@@ -0,0 +1,21 @@
+// Registers the translation webhooks for this app, e.g.:
+//   node scripts/register-webhooks.js https://<your-site>.netlify.app/api/webhooks/derivative
+const { registerWebhooks } = require('../services/aps.js');
+const { APS_WEBHOOK_WORKFLOW, APS_WEBHOOK_SECRET } = require('../config.js');
+
+const callbackUrl = process.argv[2];
+if (!callbackUrl) {
+    console.error('Usage: node scripts/register-webhooks.js <callback-url>');
+    process.exit(1);
+}
+
+registerWebhooks(callbackUrl, APS_WEBHOOK_SECRET)
+    .then(hooks => {
+        for (const hook of hooks) {
+            console.log(`${hook.event}: ${hook.status} (workflow ${APS_WEBHOOK_WORKFLOW})`);
+        }
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
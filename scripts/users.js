@@ -0,0 +1,46 @@
+// Manages the app users and their project memberships, e.g.:
+//   node scripts/users.js add alice uploader --password s3cret --projects <bucket>,<bucket> --name "Alice"
+//   node scripts/users.js remove alice
+//   node scripts/users.js list
+// With the OIDC provider, add users by their e-mail address and leave out the password.
+const { saveUser, removeUser, listUsers, ROLES } = require('../services/auth.js');
+
+const [command, username, role, ...rest] = process.argv.slice(2);
+let options = {};
+for (let i = 0; i < rest.length; i += 2) {
+    options[rest[i].replace(/^--/, '')] = rest[i + 1];
+}
+
+async function run() {
+    switch (command) {
+        case 'add':
+            if (!username || !ROLES.includes(role)) {
+                throw new Error(`Usage: node scripts/users.js add <username> <${ROLES.join('|')}> [--password <password>] [--projects <bucket,...>] [--name <name>]`);
+            }
+            console.log(await saveUser(username, {
+                name: options.name,
+                role,
+                projects: options.projects !== undefined ? options.projects.split(',').filter(project => project) : undefined,
+                password: options.password
+            }));
+            break;
+        case 'remove':
+            if (!username) {
+                throw new Error('Usage: node scripts/users.js remove <username>');
+            }
+            await removeUser(username);
+            break;
+        case 'list':
+            for (const user of await listUsers()) {
+                console.log(`${user.username} (${user.role}): ${user.projects.join(', ') || 'no projects'}`);
+            }
+            break;
+        default:
+            throw new Error('Usage: node scripts/users.js <add|remove|list> ...');
+    }
+}
+
+run().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,22 @@
+// Standalone server, for running the app in a container or on premises instead of on Netlify:
+//   PORT=8080 BASE_PATH=/viewer CORS_ORIGINS=https://intranet.example.com node server.js
+const { createApp } = require('./app.js');
+const { refreshListings } = require('./services/versions.js');
+const { PORT, BASE_PATH } = require('./config.js');
+
+const REFRESH_INTERVAL = 5 * 60 * 1000; // as the scheduled function on Netlify (netlify/functions/listings.js)
+const REFRESH_TIME_LIMIT = 60 * 1000;
+
+const app = createApp({ staticFiles: true });
+app.listen(PORT, function () { console.log(`Server listening on http://localhost:${PORT}${BASE_PATH}/ ...`); });
+
+// Refreshes the listing indexes in the background, one run at a time
+async function refreshAll() {
+    try {
+        await refreshListings(REFRESH_TIME_LIMIT);
+    } catch (err) {
+        console.error('Could not refresh the listing indexes.', err);
+    }
+    setTimeout(refreshAll, REFRESH_INTERVAL).unref();
+}
+refreshAll();
@@ -1,96 +1,58 @@
-const { AuthenticationClient, Scopes } = require('@aps_sdk/authentication');
-const { OssClient, Region, PolicyKey } = require('@aps_sdk/oss');
-const { ModelDerivativeClient, View, OutputType } = require('@aps_sdk/model-derivative');
-const { APS_CLIENT_ID, APS_CLIENT_SECRET, APS_BUCKET } = require('../config.js');
+const { urnify, parseUrn } = require('./providers/shared.js');
+const { APS_PROVIDER } = require('../config.js');
+
+// Everything the app needs from APS. A provider implements all of these: "aps" talks to the real services,
+// "mock" is a local stand-in for development without network access or credentials.
+const PROVIDER_FUNCTIONS = [
+    'checkCredentials',
+    'getViewerToken',
+    'listBuckets',
+    'createBucket',
+    'getBucketRegion',
+    'getBucketDetails',
+    'ensureBucketExists',
+    'listObjects',
+    'listObjectsPage',
+    'getObjectDetails',
+    'readObjectRange',
+    'getSourceDownload',
+    'uploadObject',
+    'getUploadUrls',
+    'completeUpload',
+    'translateObject',
+    'exportObject',
+    'getDerivativeDownload',
+    'getThumbnail',
+    'getManifest',
+    'getModelViews',
+    'getObjectTree',
+    'getProperties',
+    'listFormats',
+    'deleteObject',
+    'deleteManifest',
+    'readJson',
+    'writeJson',
+    'removeObject',
+    'registerWebhooks'
+];
+
+const PROVIDERS = {
+    aps: () => require('./providers/aps.js'),
+    mock: () => require('./providers/mock.js')
+};
 
-const authenticationClient = new AuthenticationClient();
-const ossClient = new OssClient();
-const modelDerivativeClient = new ModelDerivativeClient();
+if (!PROVIDERS[APS_PROVIDER]) {
+    throw new Error(`Unknown APS provider "${APS_PROVIDER}", use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+}
+const provider = PROVIDERS[APS_PROVIDER]();
+const missing = PROVIDER_FUNCTIONS.filter(name => typeof provider[name] !== 'function');
+if (missing.length > 0) {
+    throw new Error(`The "${APS_PROVIDER}" APS provider does not implement: ${missing.join(', ')}.`);
+}
 
 const service = module.exports = {};
-
-async function getInternalToken() {
-    const credentials = await authenticationClient.getTwoLeggedToken(APS_CLIENT_ID, APS_CLIENT_SECRET, [
-        Scopes.DataRead,
-        Scopes.DataCreate,
-        Scopes.DataWrite,
-        Scopes.BucketCreate,
-        Scopes.BucketRead
-    ]);
-    return credentials.access_token;
+for (const name of PROVIDER_FUNCTIONS) {
+    service[name] = provider[name];
 }
-
-service.getViewerToken = async () => {
-    return await authenticationClient.getTwoLeggedToken(APS_CLIENT_ID, APS_CLIENT_SECRET, [Scopes.ViewablesRead]);
-};
-
-
-
-service.ensureBucketExists = async (bucketKey) => {
-    const accessToken = await getInternalToken();
-    try {
-        await ossClient.getBucketDetails(bucketKey, { accessToken });
-    } catch (err) {
-        if (err.axiosError.response.status === 404) {
-            await ossClient.createBucket(Region.Us, { bucketKey: bucketKey, policyKey: PolicyKey.Persistent }, { accessToken});
-        } else {
-            throw err;
-        }
-    }
-};
-
-service.listObjects = async () => {
-    await service.ensureBucketExists(APS_BUCKET);
-    const accessToken = await getInternalToken();
-    let resp = await ossClient.getObjects(APS_BUCKET, { limit: 64, accessToken });
-    let objects = resp.items;
-    while (resp.next) {
-        const startAt = new URL(resp.next).searchParams.get('startAt');
-        resp = await ossClient.getObjects(APS_BUCKET, { limit: 64, startAt, accessToken });
-        objects = objects.concat(resp.items);
-    }
-    return objects;
-};
-
-service.uploadObject = async (objectName, filePath) => {
-    await service.ensureBucketExists(APS_BUCKET);
-    const accessToken = await getInternalToken();
-    const obj = await ossClient.uploadObject(APS_BUCKET, objectName, filePath, { accessToken });
-    return obj;
-};
-
-
-
-service.translateObject = async (urn, rootFilename) => {
-    const accessToken = await getInternalToken();
-    const job = await modelDerivativeClient.startJob({
-        input: {
-            urn,
-            compressedUrn: !!rootFilename,
-            rootFilename
-        },
-        output: {
-            formats: [{
-                views: [View._2d, View._3d],
-                type: OutputType.Svf2
-            }]
-        }
-    }, { accessToken });
-    return job.result;
-};
-
-service.getManifest = async (urn) => {
-    const accessToken = await getInternalToken();
-    try {
-        const manifest = await modelDerivativeClient.getManifest(urn, { accessToken });
-        return manifest;
-    } catch (err) {
-        if (err.axiosError.response.status === 404) {
-            return null;
-        } else {
-            throw err;
-        }
-    }
-};
-
-service.urnify = (id) => Buffer.from(id).toString('base64').replace(/=/g, '');
\ No newline at end of file
+service.urnify = urnify;
+service.parseUrn = parseUrn;
@@ -0,0 +1,176 @@
+const { getObjectDetails, readObjectRange, parseUrn } = require('./aps.js');
+const { ApiError } = require('./errors.js');
+
+// Looks into uploaded ZIP archives to find the design files Model Derivative can start a translation from.
+// Only the central directory at the end of the archive is read (with range requests), never the whole file.
+const service = module.exports = {};
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ENTRY_SIGNATURE = 0x02014b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const MAX_DIRECTORY_SIZE = 32 * 1024 * 1024; // more than enough for archives with 100k files
+
+// Design file extensions by preference as the root of a translation: assemblies and federated
+// models (which pull in their parts, links and references) before single parts and exchange formats.
+const DESIGN_TYPES = [
+    ['iam', 'Inventor assembly'],
+    ['nwf', 'Navisworks file set'],
+    ['nwd', 'Navisworks model'],
+    ['rvt', 'Revit model'],
+    ['sldasm', 'SolidWorks assembly'],
+    ['catproduct', 'CATIA product'],
+    ['asm', 'Creo / NX assembly'],
+    ['f3d', 'Fusion design'],
+    ['dwg', 'AutoCAD drawing'],
+    ['ifc', 'IFC model'],
+    ['ipt', 'Inventor part'],
+    ['sldprt', 'SolidWorks part'],
+    ['catpart', 'CATIA part'],
+    ['prt', 'Creo / NX part'],
+    ['step', 'STEP model'],
+    ['stp', 'STEP model'],
+    ['iges', 'IGES model'],
+    ['igs', 'IGES model'],
+    ['3dm', 'Rhino model'],
+    ['skp', 'SketchUp model'],
+    ['dgn', 'MicroStation design'],
+    ['fbx', 'FBX model'],
+    ['obj', 'OBJ model'],
+    ['stl', 'STL model'],
+    ['dwf', 'Design web format'],
+    ['dwfx', 'Design web format'],
+    ['dxf', 'DXF drawing'],
+    ['pdf', 'PDF document']
+];
+const DESIGN_RANKS = new Map(DESIGN_TYPES.map(([extension], rank) => [extension, rank]));
+const DESIGN_LABELS = new Map(DESIGN_TYPES);
+
+service.isArchive = (urn) => {
+    const object = parseUrn(urn);
+    return !!object && object.objectKey.toLowerCase().endsWith('.zip');
+};
+
+function invalidArchive(message) {
+    return new ApiError(400, 'invalid_archive', `The model is not a valid ZIP archive: ${message}`);
+}
+
+function findEndOfDirectory(tail) {
+    for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Where the central directory is and how many entries it has, also for ZIP64 archives
+async function readDirectoryLocation(urn, size) {
+    const tailSize = Math.min(size, EOCD_SIZE + MAX_COMMENT_SIZE + 20);
+    const tail = await readObjectRange(urn, size - tailSize, tailSize);
+    const eocd = findEndOfDirectory(tail);
+    if (eocd < 0) {
+        throw invalidArchive('the end of its central directory is missing.');
+    }
+    let location = {
+        entries: tail.readUInt16LE(eocd + 10),
+        size: tail.readUInt32LE(eocd + 12),
+        offset: tail.readUInt32LE(eocd + 16)
+    };
+    if (eocd >= 20 && tail.readUInt32LE(eocd - 20) === ZIP64_LOCATOR_SIGNATURE) {
+        const zip64 = await readObjectRange(urn, Number(tail.readBigUInt64LE(eocd - 12)), 56);
+        if (zip64.length < 56 || zip64.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+            throw invalidArchive('its ZIP64 directory record is missing.');
+        }
+        location = {
+            entries: Number(zip64.readBigUInt64LE(32)),
+            size: Number(zip64.readBigUInt64LE(40)),
+            offset: Number(zip64.readBigUInt64LE(48))
+        };
+    }
+    if (location.offset + location.size > size) {
+        throw invalidArchive('its central directory lies outside of the file.');
+    }
+    return location;
+}
+
+// The uncompressed size, taken from the ZIP64 extra field when it does not fit into 32 bits
+function readEntrySize(directory, pos, extraStart, extraEnd) {
+    const size = directory.readUInt32LE(pos + 24);
+    if (size !== 0xffffffff) {
+        return size;
+    }
+    for (let i = extraStart; i + 4 <= extraEnd;) {
+        const id = directory.readUInt16LE(i);
+        const length = directory.readUInt16LE(i + 2);
+        if (id === 0x0001 && length >= 8) {
+            return Number(directory.readBigUInt64LE(i + 4));
+        }
+        i += 4 + length;
+    }
+    return size;
+}
+
+// All files in the archive: [{ name, size }], without folders
+service.listArchive = async (urn) => {
+    const { bucketKey, objectKey } = parseUrn(urn);
+    const { size } = await getObjectDetails(bucketKey, objectKey);
+    const location = await readDirectoryLocation(urn, size);
+    if (location.size > MAX_DIRECTORY_SIZE) {
+        throw new ApiError(413, 'too_large', 'The archive has too many files to inspect.');
+    }
+    const directory = await readObjectRange(urn, location.offset, location.size);
+    let files = [];
+    let pos = 0;
+    for (let i = 0; i < location.entries; i++) {
+        if (pos + 46 > directory.length || directory.readUInt32LE(pos) !== ENTRY_SIGNATURE) {
+            throw invalidArchive('its central directory is damaged.');
+        }
+        const utf8 = (directory.readUInt16LE(pos + 8) & 0x0800) !== 0;
+        const nameLength = directory.readUInt16LE(pos + 28);
+        const extraLength = directory.readUInt16LE(pos + 30);
+        const commentLength = directory.readUInt16LE(pos + 32);
+        const name = directory.toString(utf8 ? 'utf8' : 'latin1', pos + 46, pos + 46 + nameLength);
+        const extraStart = pos + 46 + nameLength;
+        if (!name.endsWith('/')) {
+            files.push({ name, size: readEntrySize(directory, pos, extraStart, extraStart + extraLength) });
+        }
+        pos = extraStart + extraLength + commentLength;
+    }
+    return files;
+};
+
+function getExtension(name) {
+    const dot = name.lastIndexOf('.');
+    return dot > name.lastIndexOf('/') ? name.substring(dot + 1).toLowerCase() : '';
+}
+
+// Leftovers of the tools that made the archive, never design files
+function isJunk(name) {
+    return name.startsWith('__MACOSX/') || name.split('/').some(part => part.startsWith('.') || part.startsWith('~$'));
+}
+
+// The design files that can be the root of a translation, best candidates first: by file type,
+// then closest to the top of the archive, then largest. An archive with more than one design file
+// (or an Inventor project) is a composite design: the root pulls in the others as links or parts.
+service.inspectArchive = async (urn) => {
+    const files = (await service.listArchive(urn)).filter(file => !isJunk(file.name));
+    const depth = (name) => name.split('/').length;
+    const candidates = files
+        .filter(file => DESIGN_RANKS.has(getExtension(file.name)))
+        .sort((a, b) => DESIGN_RANKS.get(getExtension(a.name)) - DESIGN_RANKS.get(getExtension(b.name))
+            || depth(a.name) - depth(b.name)
+            || b.size - a.size)
+        .map(file => ({ ...file, type: DESIGN_LABELS.get(getExtension(file.name)) }));
+    return {
+        files: files.length,
+        candidates,
+        composite: candidates.length > 1 || files.some(file => getExtension(file.name) === 'ipj')
+    };
+};
+
+service.isCandidate = (archive, rootFilename) => {
+    return archive.candidates.some(file => file.name === rootFilename);
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { readJson, writeJson, listObjects, ensureBucketExists } = require('./aps.js');
+const { AUDIT_SINK, AUDIT_FILE, APS_STORE_BUCKET } = require('../config.js');
+
+const TYPES = ['upload', 'translate', 'delete', 'token', 'open', 'load'];
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_BUCKET_EVENTS = 2000; // newest events read from the bucket per query
+
+// Audit events: { time, type, user, urn, outcome, details }, written to a sink. A sink implements
+// `write(event)` and `read(from, to)`; "file" appends JSON lines to AUDIT_FILE, "bucket" keeps one
+// object per event in the app data bucket, grouped by day. Writing an event never fails the request.
+const service = module.exports = {};
+service.TYPES = TYPES;
+
+const fileSink = {
+    async write(event) {
+        await fs.promises.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+        await fs.promises.appendFile(AUDIT_FILE, JSON.stringify(event) + '\n');
+    },
+
+    async read(from, to) {
+        let events = [];
+        try {
+            await fs.promises.access(AUDIT_FILE);
+        } catch (err) {
+            return events;
+        }
+        const lines = readline.createInterface({ input: fs.createReadStream(AUDIT_FILE), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (line.trim()) {
+                const event = JSON.parse(line);
+                if (event.time >= from && event.time <= to) {
+                    events.push(event);
+                }
+            }
+        }
+        return events;
+    }
+};
+
+function dayPrefix(time) {
+    return `audit/${new Date(time).toISOString().substring(0, 10)}/`;
+}
+
+const bucketSink = {
+    async write(event) {
+        await ensureBucketExists(APS_STORE_BUCKET);
+        // Object keys sort by time, so the newest events can be picked without reading all of them
+        const key = `${dayPrefix(event.time)}${String(event.time).padStart(15, '0')}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await writeJson(APS_STORE_BUCKET, key, event);
+    },
+
+    async read(from, to) {
+        await ensureBucketExists(APS_STORE_BUCKET);
+        let objects = [];
+        for (let day = from - from % DAY; day <= to; day += DAY) {
+            objects = objects.concat(await listObjects(APS_STORE_BUCKET, dayPrefix(day)));
+        }
+        objects.sort((a, b) => b.objectKey.localeCompare(a.objectKey));
+        const events = await Promise.all(objects.slice(0, MAX_BUCKET_EVENTS).map(obj => readJson(APS_STORE_BUCKET, obj.objectKey)));
+        return events.filter(event => event && event.time >= from && event.time <= to);
+    }
+};
+
+const SINKS = { file: fileSink, bucket: bucketSink };
+if (!SINKS[AUDIT_SINK]) {
+    throw new Error(`Unknown audit sink "${AUDIT_SINK}", use one of: ${Object.keys(SINKS).join(', ')}.`);
+}
+const sink = SINKS[AUDIT_SINK];
+
+// Who made a request: the user logged in, or the share link used
+function getActor(req) {
+    if (req.user) {
+        return req.user.username;
+    }
+    return req.share ? `share:${req.share.id}` : null;
+}
+
+// Records an event for a request (or with `req` as `null`, for the app itself). `outcome` is "success",
+// "failure" or "denied" for requests, or the final translation status.
+service.recordEvent = async (req, type, { urn, outcome = 'success', details } = {}) => {
+    const event = { time: Date.now(), type, user: req ? getActor(req) : null, urn, outcome, details };
+    try {
+        await sink.write(event);
+    } catch (err) {
+        console.error('Could not write audit event.', event, err);
+    }
+};
+
+// Events from `from` to `to` (timestamps), newest first, matching all the given `filters`
+// (type, user, urn, outcome), at most `limit` of them
+service.queryEvents = async ({ from, to, limit, ...filters }) => {
+    const events = await sink.read(from, to);
+    return events
+        .filter(event => Object.entries(filters).every(([field, value]) => !value || event[field] === value))
+        .sort((a, b) => b.time - a.time)
+        .slice(0, limit);
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const store = require('./store.js');
+const { clientError } = require('./errors.js');
+const { AUTH_PROVIDER, AUTH_SECRET, OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET } = require('../config.js');
+
+const ROLES = ['viewer', 'uploader', 'admin']; // each role can do everything the previous ones can
+const SESSION_COOKIE = 'session';
+const SESSION_TTL = 8 * 60 * 60; // seconds
+const LOGIN_TTL = 10 * 60; // seconds an OIDC login may take
+const scrypt = promisify(crypto.scrypt);
+
+// Users sign in with a local username and password, or with an OpenID Connect provider.
+// Either way the result is a signed session token (a JWT), sent back as a cookie or a bearer token,
+// which carries the user's role and projects so that the functions do not need to look them up.
+// Every signed token names what it is for in `aud` ("session", "login" or "share"), so none passes for another.
+const service = module.exports = {};
+service.ROLES = ROLES;
+
+function base64url(data) {
+    return Buffer.from(data).toString('base64url');
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+}
+
+function signToken(claims, ttl) {
+    const now = Math.floor(Date.now() / 1000);
+    const data = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttl }))}`;
+    return `${data}.${sign(data)}`;
+}
+
+function verifyToken(token) {
+    const [header, payload, signature] = (token || '').split('.');
+    if (!signature || signature.length !== sign(`${header}.${payload}`).length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(sign(`${header}.${payload}`)))) {
+        return null;
+    }
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        return claims.exp > Date.now() / 1000 ? claims : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function parseCookies(req) {
+    let cookies = {};
+    for (const pair of (req.get('cookie') || '').split(';')) {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            cookies[pair.substring(0, index).trim()] = decodeURIComponent(pair.substring(index + 1).trim());
+        }
+    }
+    return cookies;
+}
+
+function cookieOptions(req, maxAge) {
+    const options = { httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/' };
+    return maxAge ? { ...options, maxAge: maxAge * 1000 } : options;
+}
+
+function toProfile(user) {
+    return { username: user.username, name: user.name || user.username, role: user.role, projects: user.projects || [] };
+}
+
+// Local user records: { username, name, role, projects: [<bucket key>], passwordHash }
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function checkPassword(password, passwordHash) {
+    const [scheme, salt, hash] = (passwordHash || '').split('$');
+    if (scheme !== 'scrypt') {
+        return false;
+    }
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), 64);
+    return crypto.timingSafeEqual(actual, Buffer.from(hash, 'hex'));
+}
+
+service.getUser = async (username) => {
+    return await store.get('users', username);
+};
+
+service.listUsers = async () => {
+    const users = await store.list('users');
+    return users.map(toProfile);
+};
+
+service.saveUser = async (username, { name, role, projects, password }) => {
+    if (!ROLES.includes(role)) {
+        throw new Error(`The role must be one of: ${ROLES.join(', ')}.`);
+    }
+    const existing = await service.getUser(username);
+    const user = {
+        username,
+        name: name || (existing && existing.name) || username,
+        role,
+        projects: projects || (existing && existing.projects) || [],
+        passwordHash: password ? await hashPassword(password) : existing && existing.passwordHash
+    };
+    await store.put('users', username, user);
+    return toProfile(user);
+};
+
+service.removeUser = async (username) => {
+    await store.delete('users', username);
+};
+
+const localProvider = {
+    type: 'local',
+
+    async login(username, password) {
+        const user = await service.getUser(username);
+        if (!user || !await checkPassword(password, user.passwordHash)) {
+            return null;
+        }
+        return toProfile(user);
+    }
+};
+
+// OpenID Connect (authorization code flow). Roles and projects still come from the local user records,
+// matched by e-mail (or subject); users without a record may sign in but only get the viewer role.
+let discovery = null;
+
+function discover() {
+    if (!discovery) {
+        discovery = fetch(`${OIDC_ISSUER.replace(/\/$/, '')}/.well-known/openid-configuration`)
+            .then(resp => {
+                if (!resp.ok) {
+                    throw new Error(`Could not read the OIDC configuration (${resp.status}).`);
+                }
+                return resp.json();
+            })
+            .catch(err => {
+                discovery = null;
+                throw err;
+            });
+    }
+    return discovery;
+}
+
+const oidcProvider = {
+    type: 'oidc',
+
+    async getLoginUrl(redirectUri, state, nonce) {
+        const { authorization_endpoint } = await discover();
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: OIDC_CLIENT_ID,
+            redirect_uri: redirectUri,
+            scope: 'openid profile email',
+            state,
+            nonce
+        });
+        return `${authorization_endpoint}?${params}`;
+    },
+
+    async handleCallback(code, redirectUri, nonce) {
+        const { issuer, token_endpoint } = await discover();
+        const resp = await fetch(token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: redirectUri,
+                client_id: OIDC_CLIENT_ID,
+                client_secret: OIDC_CLIENT_SECRET
+            })
+        });
+        if (!resp.ok) {
+            throw new Error(`Could not exchange the authorization code (${resp.status}).`);
+        }
+        const { id_token } = await resp.json();
+        // The ID token comes straight from the token endpoint over TLS, so its claims are checked but not its signature
+        const claims = JSON.parse(Buffer.from((id_token || '').split('.')[1] || '', 'base64url').toString() || 'null');
+        const audience = claims && [].concat(claims.aud);
+        if (!claims || claims.iss !== issuer || !audience.includes(OIDC_CLIENT_ID) || claims.nonce !== nonce || claims.exp < Date.now() / 1000) {
+            return null;
+        }
+        const username = claims.email || claims.sub;
+        const user = await service.getUser(username);
+        return toProfile(user || { username, name: claims.name, role: 'viewer', projects: [] });
+    }
+};
+
+service.provider = AUTH_PROVIDER === 'oidc' ? oidcProvider : localProvider;
+
+// The OIDC state and nonce are kept in a short-lived signed cookie between the redirects
+service.startLogin = (req, res, returnTo) => {
+    const login = { state: crypto.randomBytes(16).toString('hex'), nonce: crypto.randomBytes(16).toString('hex'), returnTo };
+    res.cookie('login', signToken({ ...login, aud: 'login' }, LOGIN_TTL), cookieOptions(req, LOGIN_TTL));
+    return login;
+};
+
+service.finishLogin = (req, res) => {
+    res.clearCookie('login', cookieOptions(req));
+    const login = verifyToken(parseCookies(req).login);
+    return login && login.aud === 'login' ? login : null;
+};
+
+service.startSession = (req, res, user) => {
+    const token = signToken({ aud: 'session', sub: user.username, name: user.name, role: user.role, projects: user.projects }, SESSION_TTL);
+    res.cookie(SESSION_COOKIE, token, cookieOptions(req, SESSION_TTL));
+    return token;
+};
+
+service.endSession = (req, res) => {
+    res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+};
+
+// Share links carry a token of their own, which names the share and never passes for a session
+service.signShareToken = (shareId, ttl) => {
+    return signToken({ aud: 'share', share: shareId }, ttl);
+};
+
+service.verifyShareToken = (token) => {
+    const claims = verifyToken(token);
+    return claims && claims.aud === 'share' ? claims.share : null;
+};
+
+service.hasRole = (user, role) => {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+};
+
+// Admins can access all projects, everyone else only the ones listed in their user record
+service.canAccessProject = (user, bucketKey) => {
+    return service.hasRole(user, 'admin') || (!!user && user.projects.includes(bucketKey));
+};
+
+// Middleware: accepts the session cookie or an "Authorization: Bearer <token>" header and sets `req.user`
+service.authenticate = (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.substring(7) : parseCookies(req)[SESSION_COOKIE];
+    const claims = token && verifyToken(token);
+    if (!claims || claims.aud !== 'session' || !claims.sub) {
+        next(clientError(401, 'Please log in.'));
+        return;
+    }
+    req.user = { username: claims.sub, name: claims.name, role: claims.role, projects: claims.projects || [] };
+    next();
+};
+
+service.requireRole = (role) => (req, res, next) => {
+    if (!service.hasRole(req.user, role)) {
+        next(clientError(403, `This requires the ${role} role.`));
+        return;
+    }
+    next();
+};
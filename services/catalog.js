@@ -0,0 +1,68 @@
+const store = require('./store.js');
+const { getModelKey, getModelRef } = require('./versions.js');
+const { updateModelSummary } = require('./listing.js');
+
+const TEXT_FIELDS = { displayName: 200, description: 2000, discipline: 100, revision: 50 }; // maximum lengths
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// Catalogue entries describing the models beyond their file names: { displayName, description,
+// discipline, tags, revision, uploadedBy, uploadedAt, updatedBy, updatedAt }, kept in the app data store by model,
+// so they are shared by all versions. Functions take the URN of any version.
+const service = module.exports = {};
+
+service.getModelMeta = async (urn) => {
+    return (await store.get('models', getModelKey(urn))) || {};
+};
+
+// Checks the editable fields of a PATCH body; empty values clear a field. Returns { changes } or { error }.
+service.validateMetaChanges = (body) => {
+    let changes = {};
+    for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+        if (body[field] === undefined) {
+            continue;
+        }
+        if (body[field] !== null && typeof body[field] !== 'string') {
+            return { error: `The ${field} must be a string.` };
+        }
+        const value = (body[field] || '').trim();
+        if (value.length > maxLength) {
+            return { error: `The ${field} may be at most ${maxLength} characters long.` };
+        }
+        changes[field] = value || undefined;
+    }
+    if (body.tags !== undefined) {
+        const tags = typeof body.tags === 'string' ? body.tags.split(',') : body.tags || [];
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            return { error: 'The tags must be a list of strings.' };
+        }
+        const unique = [...new Set(tags.map(tag => tag.trim()).filter(tag => tag))];
+        if (unique.length > MAX_TAGS || unique.some(tag => tag.length > MAX_TAG_LENGTH)) {
+            return { error: `At most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters each are allowed.` };
+        }
+        changes.tags = unique;
+    }
+    return { changes };
+};
+
+service.updateModelMeta = async (urn, changes, username) => {
+    const meta = { ...await service.getModelMeta(urn), ...changes, updatedBy: username, updatedAt: Date.now() };
+    for (const field of Object.keys(meta)) {
+        if (meta[field] === undefined) {
+            delete meta[field];
+        }
+    }
+    const { bucketKey, modelId } = getModelRef(urn);
+    await updateModelSummary(bucketKey, modelId, { ...changes });
+    return await store.put('models', getModelKey(urn), meta);
+};
+
+service.recordUpload = async (urn, username) => {
+    const { bucketKey, modelId } = getModelRef(urn);
+    await updateModelSummary(bucketKey, modelId, { uploadedBy: username });
+    return await store.put('models', getModelKey(urn), { ...await service.getModelMeta(urn), uploadedBy: username, uploadedAt: Date.now() });
+};
+
+service.deleteModelMeta = async (urn) => {
+    await store.delete('models', getModelKey(urn));
+};
@@ -0,0 +1,93 @@
+// Errors sent by the API, as JSON: { error: { code, message, retryable, upstreamStatus } }.
+// `upstreamStatus` is the HTTP status APS answered with, when the error came from there.
+// Routes pass their own client errors (failed checks of a request) to `next` as well, see `clientError`.
+const errors = module.exports = {};
+
+errors.ApiError = class ApiError extends Error {
+    constructor(status, code, message, { retryable = false, upstreamStatus } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.retryable = retryable;
+        this.upstreamStatus = upstreamStatus;
+    }
+};
+
+const CLIENT_CODES = { 400: 'bad_request', 401: 'unauthorized', 403: 'forbidden', 404: 'not_found', 409: 'conflict', 413: 'too_large' };
+const UPSTREAM_STATUSES = [400, 404, 409, 413]; // client errors of APS that are passed on as they are
+const NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNABORTED'];
+
+// The HTTP status of a failed APS call (the SDK clients wrap the axios error), or `undefined`
+errors.getUpstreamStatus = (err) => {
+    return (err && err.axiosError && err.axiosError.response && err.axiosError.response.status) || undefined;
+};
+
+function getUpstreamMessage(err) {
+    const data = err.axiosError && err.axiosError.response && err.axiosError.response.data;
+    if (typeof data === 'string' && data) {
+        return data;
+    }
+    return (data && (data.developerMessage || data.diagnostic || data.detail || data.reason)) || err.message;
+}
+
+// A client error found by the API itself, e.g. `next(clientError(404, 'Model not found.'))`
+errors.clientError = (status, message) => {
+    return new errors.ApiError(status, CLIENT_CODES[status] || 'bad_request', message);
+};
+
+// Maps anything thrown by a route (APS SDK errors, network failures, request parsing, our own ApiErrors) to an ApiError
+errors.toApiError = (err) => {
+    if (err instanceof errors.ApiError) {
+        return err;
+    }
+    // Client errors of Express middleware (e.g. a body that is not valid JSON), with messages meant for the client
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return errors.clientError(err.status, err.message);
+    }
+    const upstreamStatus = errors.getUpstreamStatus(err);
+    if (upstreamStatus) {
+        const message = getUpstreamMessage(err);
+        if (upstreamStatus === 401 || upstreamStatus === 403) {
+            return new errors.ApiError(502, 'upstream_unauthorized', `APS refused the app's credentials: ${message}`, { upstreamStatus });
+        }
+        if (upstreamStatus === 429) {
+            return new errors.ApiError(503, 'rate_limited', 'APS is limiting the rate of requests, please try again shortly.', { retryable: true, upstreamStatus });
+        }
+        if (upstreamStatus >= 500) {
+            return new errors.ApiError(502, 'upstream_error', `APS failed to handle the request: ${message}`, { retryable: true, upstreamStatus });
+        }
+        if (UPSTREAM_STATUSES.includes(upstreamStatus)) {
+            return new errors.ApiError(upstreamStatus, CLIENT_CODES[upstreamStatus], message, { upstreamStatus });
+        }
+        return new errors.ApiError(502, 'upstream_error', message, { upstreamStatus });
+    }
+    const code = err.code || (err.cause && err.cause.code) || (err.axiosError && err.axiosError.code);
+    if (NETWORK_ERRORS.includes(code) || (err.axiosError && !err.axiosError.response)) {
+        return new errors.ApiError(503, 'upstream_unavailable', 'APS could not be reached, please try again shortly.', { retryable: true });
+    }
+    return new errors.ApiError(500, 'internal_error', 'Something went wrong on the server.');
+};
+
+// Express error middleware, added last to every app
+errors.errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        next(err);
+        return;
+    }
+    const apiError = errors.toApiError(err);
+    if (apiError.status >= 500) {
+        console.error(err);
+    }
+    if (apiError.retryable) {
+        res.set('Retry-After', '5');
+    }
+    res.status(apiError.status).json({
+        error: {
+            code: apiError.code,
+            message: apiError.message,
+            retryable: apiError.retryable,
+            upstreamStatus: apiError.upstreamStatus
+        }
+    });
+};
@@ -0,0 +1,117 @@
+const { checkCredentials, getBucketDetails, listFormats } = require('./aps.js');
+const { toApiError } = require('./errors.js');
+const { APS_PROVIDER, APS_BUCKET, APS_STORE_BUCKET, APS_WEBHOOK_SECRET, STORE_DIR, AUTH_PROVIDER, AUDIT_SINK } = require('../config.js');
+
+const CACHE_TTL = 30 * 1000; // the header indicator of every open page polls, so APS is asked at most this often
+const SDK_PACKAGES = ['@aps_sdk/authentication', '@aps_sdk/oss', '@aps_sdk/model-derivative'];
+
+// Checks of the APS integration for GET /api/health: whether the app's credentials work and were granted
+// the scopes it needs, whether its buckets can be reached, and whether Model Derivative answers.
+// Each check reports { name, status ("ok", "failed" or "skipped"), duration (ms), message }.
+// The backend is "down" without working credentials, and "degraded" when any other check fails.
+const service = module.exports = {};
+
+let cached = null;
+
+async function runCheck(name, check) {
+    const start = Date.now();
+    try {
+        const result = await check();
+        return { name, status: 'ok', duration: Date.now() - start, ...result };
+    } catch (err) {
+        return { name, status: 'failed', duration: Date.now() - start, message: toApiError(err).message };
+    }
+}
+
+function skipped(name, message) {
+    return { name, status: 'skipped', duration: 0, message };
+}
+
+async function checkScopes(credentials) {
+    const missing = credentials.requested.filter(scope => !credentials.granted.includes(scope));
+    if (missing.length > 0) {
+        throw new Error(`The app's token lacks the scopes: ${missing.join(', ')}.`);
+    }
+    return { message: `Granted: ${credentials.granted.join(', ')}.` };
+}
+
+// Both buckets are created on first use, so one that does not exist yet is no failure
+async function checkBucket(bucketKey) {
+    try {
+        const bucket = await getBucketDetails(bucketKey);
+        return { message: `${bucket.bucketKey} (${bucket.region}, ${bucket.policyKey}).`, region: bucket.region };
+    } catch (err) {
+        if (toApiError(err).status === 404) {
+            return { message: `${bucketKey} does not exist yet, it is created on first use.` };
+        }
+        throw err;
+    }
+}
+
+// Settings that work but are worth knowing about, as config.js only stops the app for missing credentials
+function getWarnings() {
+    let warnings = [];
+    if (APS_PROVIDER === 'mock') {
+        warnings.push('Running against the local APS stand-in, no models can be viewed.');
+    }
+    if (!APS_WEBHOOK_SECRET) {
+        warnings.push('APS_WEBHOOK_SECRET is not set, so webhook calls are not verified.');
+    }
+    return warnings;
+}
+
+function getSdkVersions() {
+    let versions = {};
+    for (const name of SDK_PACKAGES) {
+        try {
+            versions[name] = require(`${name}/package.json`).version;
+        } catch (err) {
+            versions[name] = null;
+        }
+    }
+    return versions;
+}
+
+async function checkHealth() {
+    let credentials = null;
+    const credentialsCheck = await runCheck('credentials', async () => {
+        credentials = await checkCredentials();
+        return { message: `Token valid until ${new Date(credentials.expiresAt).toISOString()}.` };
+    });
+    let checks = [credentialsCheck];
+    if (credentials) {
+        checks = checks.concat(await Promise.all([
+            runCheck('scopes', () => checkScopes(credentials)),
+            runCheck('bucket', () => checkBucket(APS_BUCKET)),
+            STORE_DIR ? skipped('store', `App data is kept in ${STORE_DIR}.`) : runCheck('store', () => checkBucket(APS_STORE_BUCKET)),
+            runCheck('model-derivative', async () => {
+                const formats = await listFormats();
+                return { message: `${Object.keys(formats).length} output formats available.` };
+            })
+        ]));
+    } else {
+        checks = checks.concat(['scopes', 'bucket', 'store', 'model-derivative'].map(name => skipped(name, 'The credentials do not work.')));
+    }
+    const bucketCheck = checks.find(check => check.name === 'bucket');
+    return {
+        status: credentialsCheck.status !== 'ok' ? 'down' : checks.some(check => check.status === 'failed') ? 'degraded' : 'ok',
+        checkedAt: Date.now(),
+        provider: APS_PROVIDER,
+        bucket: APS_BUCKET,
+        region: bucketCheck.region || null,
+        store: STORE_DIR ? 'files' : APS_STORE_BUCKET,
+        auth: AUTH_PROVIDER,
+        audit: AUDIT_SINK,
+        sdk: getSdkVersions(),
+        warnings: getWarnings(),
+        checks: checks.map(({ region, ...check }) => check)
+    };
+}
+
+// The latest health report, checked again once it is older than CACHE_TTL (or when `fresh`)
+service.getHealth = async (fresh = false) => {
+    if (!cached || fresh || Date.now() - cached.checkedAt > CACHE_TTL) {
+        cached = await checkHealth();
+    }
+    return cached;
+};
@@ -0,0 +1,189 @@
+const { listBuckets, getObjectDetails, deleteObject, deleteManifest, getManifest, translateObject } = require('./aps.js');
+const store = require('./store.js');
+const { clearStatus, markPending } = require('./status.js');
+const { deleteModelMeta } = require('./catalog.js');
+const { isArchive, inspectArchive } = require('./archive.js');
+const { recordEvent } = require('./audit.js');
+const { listModels, deleteVersions, getTranslation } = require('./versions.js');
+const translationProfiles = require('../translation-profiles.json');
+const { APS_STORE_BUCKET, HOUSEKEEPING_SCRATCH_TAG, HOUSEKEEPING_SCRATCH_DAYS, HOUSEKEEPING_PURGE_FAILED, HOUSEKEEPING_RETRANSLATE, HOUSEKEEPING_MAX_TRANSLATIONS } = require('../config.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const RUN_INTERVAL = DAY; // between the starts of scheduled runs
+const FAILED_STATUSES = ['failed', 'timeout'];
+
+// Retention rules applied to every project, run by the scheduled function (netlify/functions/housekeeping.js)
+// or on demand (scripts/housekeeping.js):
+// - models tagged "scratch" (HOUSEKEEPING_SCRATCH_TAG) with no upload for HOUSEKEEPING_SCRATCH_DAYS are removed,
+// - failed translations are purged, so that the models show as not translated instead of failing,
+// - current versions whose derivatives have expired are translated again (at most HOUSEKEEPING_MAX_TRANSLATIONS),
+//   older versions then just show as not translated ("expired" in the report).
+// Each run writes a report to the app data store ("housekeeping" collection, by start time).
+// Functions only run for a few seconds, so the scheduled run is done in batches (see `continueHousekeeping`): the
+// unfinished run is kept in the store ("housekeeping-state" collection) as { lastStartedAt, run: { report, buckets,
+// bucketIndex, lastModelId } }, with the project and the model (in the order of their IDs) to continue after.
+const service = module.exports = {};
+
+service.getRules = () => ({
+    scratchTag: HOUSEKEEPING_SCRATCH_TAG,
+    scratchDays: HOUSEKEEPING_SCRATCH_DAYS,
+    purgeFailed: HOUSEKEEPING_PURGE_FAILED,
+    retranslate: HOUSEKEEPING_RETRANSLATE,
+    maxTranslations: HOUSEKEEPING_MAX_TRANSLATIONS
+});
+
+// The time of the latest upload of a model; the listing index may not know all dates yet
+async function getLastUpload(model) {
+    const dates = await Promise.all(model.versions.map(async (v) => {
+        return v.lastModified || (await getObjectDetails(model.bucketKey, v.objectKey)).lastModifiedDate;
+    }));
+    return Math.max(...dates);
+}
+
+function isScratch(model, rules) {
+    return (model.summary.tags || []).some(tag => tag.toLowerCase() === rules.scratchTag);
+}
+
+async function removeModel(model, report, dryRun) {
+    if (!dryRun) {
+        for (const v of model.versions) {
+            await deleteObject(v.urn);
+            await clearStatus(v.urn);
+        }
+        await deleteModelMeta(model.current.urn);
+        await deleteVersions(model);
+        await recordEvent(null, 'delete', { urn: model.current.urn, details: { name: model.modelId, versions: model.versions.length, reason: 'scratch' } });
+    }
+    report.removed.push({ bucket: model.bucketKey, name: model.modelId, versions: model.versions.length });
+}
+
+// Versions are translated again as they were last time (see recordTranslation in versions.js). Versions translated
+// before that was recorded use the default profile, and archives their best candidate for the root file.
+async function retranslate(model, report, dryRun) {
+    const { urn } = model.current;
+    const translation = await getTranslation(urn) || { profile: 'default', ...translationProfiles.default };
+    let rootFilename = translation.rootFilename;
+    if (isArchive(urn) && !rootFilename) {
+        const archive = await inspectArchive(urn);
+        if (archive.candidates.length === 0) {
+            report.skipped.push({ bucket: model.bucketKey, name: model.modelId, version: model.current.version, reason: 'The archive has no design files.' });
+            return;
+        }
+        rootFilename = archive.candidates[0].name;
+    }
+    if (!dryRun) {
+        const { type, views, advanced } = translation;
+        await translateObject(urn, rootFilename, { type, views, advanced });
+        await markPending(urn);
+        await recordEvent(null, 'translate', { urn, details: { rootFilename, profile: translation.profile, type, reason: 'expired' } });
+    }
+    report.retranslated.push({ bucket: model.bucketKey, name: model.modelId, version: model.current.version, rootFilename, profile: translation.profile });
+}
+
+async function cleanUpModel(model, rules, report, dryRun, now) {
+    if (rules.scratchDays > 0 && isScratch(model, rules) && now - await getLastUpload(model) > rules.scratchDays * DAY) {
+        await removeModel(model, report, dryRun);
+        return;
+    }
+    for (const v of model.versions) {
+        // Only the status the app knows of: versions never translated (or never looked at) are left alone
+        const status = await store.get('status', v.urn);
+        if (!status || status.status === 'inprogress') {
+            continue;
+        }
+        if (rules.purgeFailed && FAILED_STATUSES.includes(status.status)) {
+            if (!dryRun) {
+                await deleteManifest(v.urn);
+                await clearStatus(v.urn);
+            }
+            report.purged.push({ bucket: model.bucketKey, name: model.modelId, version: v.version, status: status.status });
+        } else if (rules.retranslate && status.status === 'success' && !await getManifest(v.urn)) {
+            const entry = { bucket: model.bucketKey, name: model.modelId, version: v.version };
+            if (v !== model.current) {
+                if (!dryRun) {
+                    await clearStatus(v.urn);
+                }
+                report.expired.push(entry);
+            } else if (report.retranslated.length < rules.maxTranslations) {
+                await retranslate(model, report, dryRun);
+            } else {
+                report.skipped.push({ ...entry, reason: 'The limit of translations per run was reached.' });
+            }
+        }
+    }
+}
+
+async function startRun(dryRun, rules) {
+    const buckets = (await listBuckets()).map(bucket => bucket.bucketKey).filter(bucketKey => bucketKey !== APS_STORE_BUCKET);
+    return {
+        report: { startedAt: Date.now(), dryRun, rules, buckets: buckets.length, models: 0, removed: [], purged: [], retranslated: [], expired: [], skipped: [], errors: [] },
+        buckets,
+        bucketIndex: 0,
+        lastModelId: null
+    };
+}
+
+// Applies the rules to the models of the run not done yet, until `deadline`; returns whether the run has finished
+async function advanceRun(run, deadline) {
+    const { report } = run;
+    for (; run.bucketIndex < run.buckets.length; run.bucketIndex++, run.lastModelId = null) {
+        const bucketKey = run.buckets[run.bucketIndex];
+        let models = [];
+        try {
+            models = (await listModels(bucketKey))
+                .filter(model => run.lastModelId === null || model.modelId > run.lastModelId)
+                .sort((a, b) => a.modelId < b.modelId ? -1 : 1);
+        } catch (err) {
+            report.errors.push({ bucket: bucketKey, error: err.message });
+        }
+        for (const model of models) {
+            if (Date.now() > deadline) {
+                return false;
+            }
+            report.models++;
+            try {
+                await cleanUpModel(model, report.rules, report, report.dryRun, report.startedAt);
+            } catch (err) {
+                report.errors.push({ bucket: bucketKey, name: model.modelId, error: err.message });
+            }
+            run.lastModelId = model.modelId;
+        }
+    }
+    report.finishedAt = Date.now();
+    return true;
+}
+
+function saveReport(report) {
+    return store.put('housekeeping', new Date(report.startedAt).toISOString(), report);
+}
+
+// Applies the retention rules to all projects at once and returns the report. With `dryRun` nothing is changed
+// (and no report is kept), the report only tells what would have been done.
+service.runHousekeeping = async ({ dryRun = false, rules = service.getRules() } = {}) => {
+    const run = await startRun(dryRun, rules);
+    await advanceRun(run, Infinity);
+    if (!dryRun) {
+        await saveReport(run.report);
+    }
+    return run.report;
+};
+
+// Works on the scheduled run for at most `timeLimit` ms: continues the unfinished run, or starts one if the last
+// started RUN_INTERVAL ago. Returns the report of the run (with `finishedAt` once it is done), or null without a run.
+service.continueHousekeeping = async ({ timeLimit, rules = service.getRules() }) => {
+    const deadline = Date.now() + timeLimit;
+    let state = await store.get('housekeeping-state', 'scheduled') || { lastStartedAt: 0, run: null };
+    if (!state.run) {
+        if (Date.now() - state.lastStartedAt < RUN_INTERVAL) {
+            return null;
+        }
+        state = { lastStartedAt: Date.now(), run: await startRun(false, rules) };
+    }
+    const { report } = state.run;
+    if (await advanceRun(state.run, deadline)) {
+        await saveReport(report);
+        state.run = null;
+    }
+    await store.put('housekeeping-state', 'scheduled', state);
+    return report;
+};
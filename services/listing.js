@@ -0,0 +1,188 @@
+const store = require('./store.js');
+const { listBuckets, listObjectsPage, getObjectDetails } = require('./aps.js');
+const { APS_STORE_BUCKET } = require('../config.js');
+
+const INDEX_TTL = 10 * 60 * 1000; // refresh from OSS after this long, to pick up changes made outside the app
+const PAGE_SIZE = 100; // objects listed from OSS at a time while refreshing
+const DETAILS_BATCH = 10; // object details looked up at a time while refreshing
+const SUMMARY_FIELDS = ['pinned', 'displayName', 'description', 'discipline', 'tags', 'revision', 'uploadedBy'];
+
+// A cached index of each bucket for listing its models without paging through OSS (and reading every model's
+// records) on each request. Kept in the app data store by bucket key:
+// { builtAt, objects: [{ objectKey, objectId, size, sha1, lastModified }], models: { <model ID>: { pinned, displayName, ... } },
+//   refresh: { startedAt, startAt, objects } }.
+// Listing only ever reads the index. It is refreshed from OSS in the background (see `refreshIndexes`), page by page,
+// with the unfinished refresh kept in `refresh` until the last page swaps in its objects; `builtAt` stays null until
+// the first refresh of a bucket the app did not create has finished. The app updates the index on uploads, removals,
+// pins and catalogue edits; concurrent updates may lose one, which the next refresh repairs. `lastModified` is not
+// part of OSS listings, so refreshing looks it up for the objects the index did not have yet (uploads through the
+// app record their own).
+const service = module.exports = {};
+
+// The summary of a model as kept in the index, from its version and catalogue records (see versions.js and catalog.js)
+async function readSummary(bucketKey, modelId) {
+    const [versions, meta] = await Promise.all([store.get('versions', `${bucketKey}/${modelId}`), store.get('models', `${bucketKey}/${modelId}`)]);
+    return pickSummary({ ...meta, pinned: versions && versions.pinned });
+}
+
+function pickSummary(data) {
+    let summary = {};
+    for (const field of SUMMARY_FIELDS) {
+        if (data[field] !== undefined && data[field] !== null) {
+            summary[field] = data[field];
+        }
+    }
+    return summary;
+}
+
+function emptyIndex() {
+    return { builtAt: null, objects: [], models: {} };
+}
+
+// Reads, updates and writes back the index (an empty one if there is none yet)
+async function updateIndex(bucketKey, update) {
+    const index = await store.get('listings', bucketKey) || emptyIndex();
+    update(index);
+    return await store.put('listings', bucketKey, index);
+}
+
+// Lists the next page of a refresh, with the dates of the objects the index did not have yet
+async function listPage(bucketKey, index, startAt) {
+    const known = new Map(index.objects.map(obj => [obj.objectKey, obj]));
+    const page = await listObjectsPage(bucketKey, { startAt, limit: PAGE_SIZE });
+    const objects = page.items.map(obj => {
+        const old = known.get(obj.objectKey);
+        return {
+            objectKey: obj.objectKey,
+            objectId: obj.objectId,
+            size: obj.size,
+            sha1: obj.sha1,
+            lastModified: obj.lastModifiedDate || (old && old.sha1 === obj.sha1 ? old.lastModified : undefined)
+        };
+    });
+    const undated = objects.filter(obj => !obj.lastModified);
+    for (let i = 0; i < undated.length; i += DETAILS_BATCH) {
+        await Promise.all(undated.slice(i, i + DETAILS_BATCH).map(async (obj) => {
+            try {
+                obj.lastModified = (await getObjectDetails(bucketKey, obj.objectKey)).lastModifiedDate;
+            } catch (err) {
+                console.warn(`Could not look up the date of ${obj.objectKey}, trying again with the next refresh.`, err.message);
+            }
+        }));
+    }
+    return { objects, next: page.next };
+}
+
+// Swaps in the objects of a finished refresh, keeping the ones the app recorded since it started
+async function finishRefresh(bucketKey, index, getModelId) {
+    const { refresh } = index;
+    let summaries = {};
+    for (const modelId of new Set(refresh.objects.map(obj => getModelId(obj.objectKey)))) {
+        if (!index.models[modelId]) {
+            summaries[modelId] = await readSummary(bucketKey, modelId);
+        }
+    }
+    await updateIndex(bucketKey, (index) => {
+        if (!index.refresh || index.refresh.startedAt !== refresh.startedAt) {
+            return;
+        }
+        const objects = Array.from(new Map(index.refresh.objects.map(obj => [obj.objectKey, obj])).values());
+        const listed = new Set(objects.map(obj => obj.objectKey));
+        index.objects = objects.concat(index.objects.filter(obj => !listed.has(obj.objectKey) && obj.lastModified >= refresh.startedAt));
+        let models = {};
+        for (const obj of index.objects) {
+            const modelId = getModelId(obj.objectKey);
+            models[modelId] = index.models[modelId] || summaries[modelId] || {};
+        }
+        index.models = models;
+        index.builtAt = refresh.startedAt;
+        delete index.refresh;
+    });
+}
+
+// Continues the refresh of a bucket's index, or starts one if it is due, for at least one page and then until it is
+// done or `deadline` has passed. Returns whether it listed any objects.
+// The refresh is only kept in the stored index, so that removals made in the meantime also apply to it.
+// `getModelId` maps object keys to model IDs (see versions.js, which depends on this module).
+service.refreshIndex = async (bucketKey, getModelId, deadline) => {
+    let index = await service.getIndex(bucketKey);
+    if (!index.refresh) {
+        if (index.builtAt && Date.now() - index.builtAt < INDEX_TTL) {
+            return false;
+        }
+        index = await updateIndex(bucketKey, (index) => {
+            index.refresh = { startedAt: Date.now(), startAt: null, objects: [] };
+        });
+    }
+    const { startedAt } = index.refresh;
+    do {
+        const page = await listPage(bucketKey, index, index.refresh.startAt);
+        index = await updateIndex(bucketKey, (index) => {
+            if (index.refresh && index.refresh.startedAt === startedAt) {
+                index.refresh.startAt = page.next;
+                index.refresh.objects = index.refresh.objects.concat(page.objects);
+            }
+        });
+        if (!index.refresh || index.refresh.startedAt !== startedAt) {
+            return true; // finished by another run
+        }
+        if (!page.next) {
+            await finishRefresh(bucketKey, index, getModelId);
+            return true;
+        }
+    } while (Date.now() < deadline);
+    return true;
+};
+
+// Refreshes the indexes of all projects that are due, for about `timeLimit` ms (but for at least one page of objects);
+// unfinished refreshes continue on the next call. Run by the scheduled function (netlify/functions/listings.js)
+// and by the standalone server.
+service.refreshIndexes = async (getModelId, timeLimit) => {
+    const deadline = Date.now() + timeLimit;
+    const buckets = (await listBuckets()).map(bucket => bucket.bucketKey).filter(bucketKey => bucketKey !== APS_STORE_BUCKET);
+    let listed = false;
+    for (const bucketKey of buckets) {
+        if (listed && Date.now() > deadline) {
+            break;
+        }
+        try {
+            listed = await service.refreshIndex(bucketKey, getModelId, deadline) || listed;
+        } catch (err) {
+            console.error(`Could not refresh the index of ${bucketKey}.`, err);
+        }
+    }
+};
+
+// The index of a bucket as it is, or an empty one that is not built yet
+service.getIndex = async (bucketKey) => {
+    return await store.get('listings', bucketKey) || emptyIndex();
+};
+
+// Starts the index of a new, empty bucket, which is then complete right away
+service.createIndex = async (bucketKey) => {
+    await store.put('listings', bucketKey, { ...emptyIndex(), builtAt: Date.now() });
+};
+
+service.recordObject = async (bucketKey, obj, lastModified) => {
+    await updateIndex(bucketKey, (index) => {
+        index.objects = index.objects.filter(o => o.objectKey !== obj.objectKey);
+        index.objects.push({ objectKey: obj.objectKey, objectId: obj.objectId, size: obj.size, sha1: obj.sha1, lastModified });
+    });
+};
+
+service.removeModel = async (bucketKey, modelId, objectKeys) => {
+    await updateIndex(bucketKey, (index) => {
+        index.objects = index.objects.filter(obj => !objectKeys.includes(obj.objectKey));
+        if (index.refresh) {
+            index.refresh.objects = index.refresh.objects.filter(obj => !objectKeys.includes(obj.objectKey));
+        }
+        delete index.models[modelId];
+    });
+};
+
+// Merges changes to a model's pin or catalogue details into its summary
+service.updateModelSummary = async (bucketKey, modelId, changes) => {
+    await updateIndex(bucketKey, (index) => {
+        index.models[modelId] = pickSummary({ ...index.models[modelId], ...changes });
+    });
+};
@@ -0,0 +1,454 @@
+const { AuthenticationClient, Scopes } = require('@aps_sdk/authentication');
+const { OssClient, Region, PolicyKey, With } = require('@aps_sdk/oss');
+const { ModelDerivativeClient, View, OutputType } = require('@aps_sdk/model-derivative');
+const { parseUrn, pickFields } = require('./shared.js');
+const { getUpstreamStatus } = require('../errors.js');
+const { APS_CLIENT_ID, APS_CLIENT_SECRET, APS_BUCKET, APS_WEBHOOK_WORKFLOW } = require('../../config.js');
+
+const authenticationClient = new AuthenticationClient();
+const ossClient = new OssClient();
+const modelDerivativeClient = new ModelDerivativeClient();
+
+// The live provider, backed by the APS services themselves
+const service = module.exports = {};
+
+// OSS only tells us a bucket's region when listing buckets, so remember it for Model Derivative calls
+const bucketRegions = new Map([[APS_BUCKET, Region.Us]]);
+// Buckets known to exist, so that `ensureBucketExists` only asks OSS once per bucket
+const existingBuckets = new Set();
+
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000; // get a new token this long before the cached one expires
+const tokenCache = new Map();
+
+// Two-legged tokens are cached per scope set, for the few fixed scope sets the app uses (see `getViewerToken`).
+// Concurrent callers share the same pending request.
+function getToken(scopes) {
+    const key = [...scopes].sort().join(' ');
+    const cached = tokenCache.get(key);
+    if (cached && (!cached.expiresAt || cached.expiresAt - TOKEN_REFRESH_MARGIN > Date.now())) {
+        return cached.promise;
+    }
+    const entry = { expiresAt: null };
+    entry.promise = authenticationClient.getTwoLeggedToken(APS_CLIENT_ID, APS_CLIENT_SECRET, scopes).then(credentials => {
+        entry.expiresAt = Date.now() + credentials.expires_in * 1000;
+        return { ...credentials, expiresAt: entry.expiresAt };
+    }, err => {
+        tokenCache.delete(key);
+        throw err;
+    });
+    tokenCache.set(key, entry);
+    return entry.promise;
+}
+
+const INTERNAL_SCOPES = [
+    Scopes.DataRead,
+    Scopes.DataCreate,
+    Scopes.DataWrite,
+    Scopes.BucketCreate,
+    Scopes.BucketRead
+];
+
+async function getInternalToken() {
+    const credentials = await getToken(INTERNAL_SCOPES);
+    return credentials.access_token;
+}
+
+// Gets a new token, bypassing the cache so that revoked credentials show, and asks APS which scopes it was granted
+service.checkCredentials = async () => {
+    const credentials = await authenticationClient.getTwoLeggedToken(APS_CLIENT_ID, APS_CLIENT_SECRET, INTERNAL_SCOPES);
+    const info = await authenticationClient.introspectToken(credentials.access_token, APS_CLIENT_ID, { clientSecret: APS_CLIENT_SECRET });
+    return {
+        requested: INTERNAL_SCOPES,
+        granted: info.active && info.scope ? info.scope.split(' ') : [],
+        expiresAt: info.exp ? info.exp * 1000 : Date.now() + credentials.expires_in * 1000
+    };
+};
+
+// By default the token can view any model of the app. When a `urn` or `bucket` is given,
+// the token is restricted to reading that single object or bucket instead. Such tokens are not cached,
+// as the cache would keep one for every model ever opened; each is requested fresh, with its full lifetime.
+service.getViewerToken = async ({ urn, bucket } = {}) => {
+    let resource = null;
+    if (urn) {
+        resource = Buffer.from(urn, 'base64').toString();
+    } else if (bucket) {
+        resource = `urn:adsk.objects:os.bucket:${bucket}`;
+    }
+    if (resource) {
+        const scopes = [Scopes.DataReadUrnOfResource.replace('<URN_OF_RESOURCE>', resource)];
+        const { access_token, token_type, expires_in } = await authenticationClient.getTwoLeggedToken(APS_CLIENT_ID, APS_CLIENT_SECRET, scopes);
+        return { access_token, token_type, expires_in };
+    }
+    const { access_token, token_type, expiresAt } = await getToken([Scopes.ViewablesRead]);
+    return { access_token, token_type, expires_in: Math.floor((expiresAt - Date.now()) / 1000) };
+};
+
+
+
+service.listBuckets = async () => {
+    const accessToken = await getInternalToken();
+    let buckets = [];
+    for (const region of Object.values(Region)) {
+        let resp = await ossClient.getBuckets({ region, limit: 100, accessToken });
+        let items = resp.items;
+        while (resp.next) {
+            const startAt = new URL(resp.next).searchParams.get('startAt');
+            resp = await ossClient.getBuckets({ region, limit: 100, startAt, accessToken });
+            items = items.concat(resp.items);
+        }
+        for (const item of items) {
+            bucketRegions.set(item.bucketKey, region);
+            existingBuckets.add(item.bucketKey);
+            buckets.push({ ...item, region });
+        }
+    }
+    return buckets;
+};
+
+service.createBucket = async (bucketKey, policyKey = PolicyKey.Persistent, region = Region.Us) => {
+    const accessToken = await getInternalToken();
+    const bucket = await ossClient.createBucket(region, { bucketKey, policyKey }, { accessToken });
+    bucketRegions.set(bucketKey, region);
+    existingBuckets.add(bucketKey);
+    return { ...bucket, region };
+};
+
+service.getBucketRegion = async (bucketKey) => {
+    if (!bucketRegions.has(bucketKey)) {
+        await service.listBuckets();
+    }
+    return bucketRegions.get(bucketKey) || Region.Us;
+};
+
+service.getBucketDetails = async (bucketKey) => {
+    const accessToken = await getInternalToken();
+    const bucket = await ossClient.getBucketDetails(bucketKey, { accessToken });
+    return { ...bucket, region: await service.getBucketRegion(bucketKey) };
+};
+
+service.ensureBucketExists = async (bucketKey) => {
+    if (existingBuckets.has(bucketKey)) {
+        return;
+    }
+    const accessToken = await getInternalToken();
+    try {
+        await ossClient.getBucketDetails(bucketKey, { accessToken });
+    } catch (err) {
+        if (getUpstreamStatus(err) === 404) {
+            await ossClient.createBucket(Region.Us, { bucketKey: bucketKey, policyKey: PolicyKey.Persistent }, { accessToken});
+        } else {
+            throw err;
+        }
+    }
+    existingBuckets.add(bucketKey);
+};
+
+// Only the default bucket is created on demand, other buckets must be created explicitly
+async function prepareBucket(bucketKey) {
+    if (bucketKey === APS_BUCKET) {
+        await service.ensureBucketExists(bucketKey);
+    }
+}
+
+// Model Derivative jobs and manifests live in the same region as the bucket of the source object
+async function getUrnRegion(urn) {
+    const object = parseUrn(urn);
+    return object ? await service.getBucketRegion(object.bucketKey) : Region.Us;
+}
+
+service.listObjects = async (bucketKey = APS_BUCKET, beginsWith) => {
+    let page = await service.listObjectsPage(bucketKey, { beginsWith });
+    let objects = page.items;
+    while (page.next) {
+        page = await service.listObjectsPage(bucketKey, { beginsWith, startAt: page.next });
+        objects = objects.concat(page.items);
+    }
+    return objects;
+};
+
+// A page of the objects of a bucket (in the order of their keys): { items, next }, where `next` is the `startAt`
+// of the following page, or null after the last
+service.listObjectsPage = async (bucketKey = APS_BUCKET, { beginsWith, startAt, limit = 100 } = {}) => {
+    await prepareBucket(bucketKey);
+    const accessToken = await getInternalToken();
+    const resp = await ossClient.getObjects(bucketKey, { limit, beginsWith, startAt, accessToken });
+    return { items: resp.items, next: resp.next ? new URL(resp.next).searchParams.get('startAt') : null };
+};
+
+service.getObjectDetails = async (bucketKey, objectKey) => {
+    const accessToken = await getInternalToken();
+    return await ossClient.getObjectDetails(bucketKey, objectKey, { _with: With.LastModifiedDate, accessToken });
+};
+
+// Reads `length` bytes of an object starting at `offset`, without downloading all of it
+service.readObjectRange = async (urn, offset, length) => {
+    const { bucketKey, objectKey } = parseUrn(urn);
+    const accessToken = await getInternalToken();
+    const { url } = await ossClient.signedS3Download(bucketKey, objectKey, { accessToken });
+    const resp = await fetch(url, { headers: { 'Range': `bytes=${offset}-${offset + length - 1}` } });
+    if (!resp.ok) {
+        throw new Error(`Could not download ${objectKey} (${resp.status}).`);
+    }
+    return Buffer.from(await resp.arrayBuffer());
+};
+
+// A signed URL to download the object of `urn` as `filename`, valid for 10 minutes
+service.getSourceDownload = async (urn, filename) => {
+    const { bucketKey, objectKey } = parseUrn(urn);
+    const accessToken = await getInternalToken();
+    const { url } = await ossClient.signedS3Download(bucketKey, objectKey, {
+        minutesExpiration: 10,
+        responseContentDisposition: `attachment; filename="${filename}"`,
+        accessToken
+    });
+    return { url, expiration: Date.now() + 10 * 60 * 1000 };
+};
+
+service.uploadObject = async (objectName, filePath, bucketKey = APS_BUCKET) => {
+    await prepareBucket(bucketKey);
+    const accessToken = await getInternalToken();
+    const obj = await ossClient.uploadObject(bucketKey, objectName, filePath, { accessToken });
+    return obj;
+};
+
+service.getUploadUrls = async (objectName, parts, firstPart, uploadKey, bucketKey = APS_BUCKET) => {
+    await prepareBucket(bucketKey);
+    const accessToken = await getInternalToken();
+    return await ossClient.signedS3Upload(bucketKey, objectName, { parts, firstPart, uploadKey, minutesExpiration: 60, accessToken });
+};
+
+service.completeUpload = async (objectName, uploadKey, size, bucketKey = APS_BUCKET) => {
+    const accessToken = await getInternalToken();
+    const obj = await ossClient.completeSignedS3Upload(bucketKey, objectName, 'application/json', { uploadKey, size }, { accessToken });
+    return obj;
+};
+
+
+// Options may select the output `type` (SVF or SVF2), the `views`, format-specific `advanced` options,
+// and whether to `force` a new translation by dropping the old manifest first. The job always runs in the
+// region of the model's bucket, where all other Model Derivative calls look for its manifest (see `getUrnRegion`).
+service.translateObject = async (urn, rootFilename, options = {}) => {
+    const { type = OutputType.Svf2, views = [View._2d, View._3d], advanced, force } = options;
+    const region = await getUrnRegion(urn);
+    const accessToken = await getInternalToken();
+    if (force) {
+        try {
+            await modelDerivativeClient.deleteManifest(urn, { region, accessToken });
+        } catch (err) {
+            if (getUpstreamStatus(err) !== 404) {
+                throw err;
+            }
+        }
+    }
+    const job = await modelDerivativeClient.startJob({
+        input: {
+            urn,
+            compressedUrn: !!rootFilename,
+            rootFilename
+        },
+        output: {
+            formats: [{
+                views,
+                type,
+                advanced
+            }]
+        },
+        misc: {
+            workflow: APS_WEBHOOK_WORKFLOW // lets the webhooks registered for this workflow report the job progress
+        }
+    }, { region, xAdsForce: !!force, accessToken });
+    return job.result;
+};
+
+// Adds another output (e.g. OBJ or IFC) to the manifest of a model, keeping its viewable derivatives
+service.exportObject = async (urn, type, advanced) => {
+    const accessToken = await getInternalToken();
+    const job = await modelDerivativeClient.startJob({
+        input: { urn },
+        output: {
+            formats: [{ type, advanced }]
+        },
+        misc: {
+            workflow: APS_WEBHOOK_WORKFLOW
+        }
+    }, { region: await getUrnRegion(urn), accessToken });
+    return job.result;
+};
+
+service.getDerivativeDownload = async (urn, derivativeUrn, filename) => {
+    const accessToken = await getInternalToken();
+    return await modelDerivativeClient.getDerivativeUrl(derivativeUrn, urn, {
+        region: await getUrnRegion(urn),
+        minutesExpiration: 10,
+        responseContentDisposition: `attachment; filename="${filename}"`,
+        accessToken
+    });
+};
+
+// Returns the PNG thumbnail (100, 200 or 400 pixels wide) as a buffer, or `null` if the model has none (yet)
+service.getThumbnail = async (urn, size = 200) => {
+    const accessToken = await getInternalToken();
+    try {
+        const data = await modelDerivativeClient.getThumbnail(urn, {
+            width: size,
+            height: size,
+            region: await getUrnRegion(urn),
+            accessToken,
+            options: { responseType: 'arraybuffer' }
+        });
+        return Buffer.from(data);
+    } catch (err) {
+        if (getUpstreamStatus(err) === 404) {
+            return null;
+        } else {
+            throw err;
+        }
+    }
+};
+
+service.getManifest = async (urn) => {
+    const accessToken = await getInternalToken();
+    try {
+        const manifest = await modelDerivativeClient.getManifest(urn, { region: await getUrnRegion(urn), accessToken });
+        return manifest;
+    } catch (err) {
+        if (getUpstreamStatus(err) === 404) {
+            return null;
+        } else {
+            throw err;
+        }
+    }
+};
+
+// Model Derivative extracts the metadata of a translated model on first request, so the tree
+// and property calls below return `null` while that is still in progress (HTTP 202).
+service.getModelViews = async (urn) => {
+    const accessToken = await getInternalToken();
+    try {
+        const views = await modelDerivativeClient.getModelViews(urn, { region: await getUrnRegion(urn), accessToken });
+        return views.data.metadata;
+    } catch (err) {
+        if (getUpstreamStatus(err) === 404) {
+            return null;
+        } else {
+            throw err;
+        }
+    }
+};
+
+service.getObjectTree = async (urn, guid, { objectId, level } = {}) => {
+    const accessToken = await getInternalToken();
+    const tree = await modelDerivativeClient.getObjectTree(urn, guid, { objectId, level, region: await getUrnRegion(urn), accessToken });
+    return tree.isProcessing ? null : tree.data;
+};
+
+// Properties can be limited to a list of `objectIds` or to objects whose name starts with `name`,
+// reduced to a list of `fields`, and are returned one page (`offset`, `limit`) at a time.
+service.getProperties = async (urn, guid, { objectIds, name, fields, offset = 0, limit = 100 } = {}) => {
+    const accessToken = await getInternalToken();
+    const region = await getUrnRegion(urn);
+    if (objectIds || name) {
+        const query = objectIds ? { $in: ['objectid', ...objectIds] } : { $prefix: ['name', name] };
+        const props = await modelDerivativeClient.fetchSpecificProperties(urn, guid, { query, fields, pagination: { offset, limit } }, { region, accessToken });
+        return props.isProcessing ? null : { collection: props.data.collection, pagination: props.pagination };
+    }
+    const props = await modelDerivativeClient.getAllProperties(urn, guid, { region, accessToken });
+    if (props.isProcessing) {
+        return null;
+    }
+    let collection = props.data.collection.slice(offset, offset + limit);
+    if (fields) {
+        collection = collection.map(record => pickFields(record, fields));
+    }
+    return { collection, pagination: { offset, limit, totalResults: props.data.collection.length } };
+};
+
+service.deleteObject = async (urn) => {
+    const { bucketKey, objectKey } = parseUrn(urn);
+    await service.deleteManifest(urn);
+    const accessToken = await getInternalToken();
+    await ossClient.deleteObject(bucketKey, objectKey, { accessToken });
+};
+
+// The file formats Model Derivative can translate, by output format
+service.listFormats = async () => {
+    const accessToken = await getInternalToken();
+    const { formats } = await modelDerivativeClient.getFormats({ accessToken });
+    return formats;
+};
+
+// Drops the derivatives of a model, if it has any
+service.deleteManifest = async (urn) => {
+    const accessToken = await getInternalToken();
+    try {
+        await modelDerivativeClient.deleteManifest(urn, { region: await getUrnRegion(urn), accessToken });
+    } catch (err) {
+        if (getUpstreamStatus(err) !== 404) {
+            throw err;
+        }
+    }
+};
+
+// Small JSON documents (app data rather than models) are kept as plain objects in a bucket
+service.readJson = async (bucketKey, objectKey) => {
+    const accessToken = await getInternalToken();
+    try {
+        const { url } = await ossClient.signedS3Download(bucketKey, objectKey, { accessToken });
+        const resp = await fetch(url);
+        if (!resp.ok) {
+            throw new Error(`Could not download ${objectKey} (${resp.status}).`);
+        }
+        return await resp.json();
+    } catch (err) {
+        if (getUpstreamStatus(err) === 404) {
+            return null;
+        } else {
+            throw err;
+        }
+    }
+};
+
+service.writeJson = async (bucketKey, objectKey, data) => {
+    const accessToken = await getInternalToken();
+    return await ossClient.uploadObject(bucketKey, objectKey, Buffer.from(JSON.stringify(data)), { accessToken });
+};
+
+service.removeObject = async (bucketKey, objectKey) => {
+    const accessToken = await getInternalToken();
+    try {
+        await ossClient.deleteObject(bucketKey, objectKey, { accessToken });
+    } catch (err) {
+        if (getUpstreamStatus(err) !== 404) {
+            throw err;
+        }
+    }
+};
+
+// Registers webhooks for the translation events of our workflow, and optionally the secret
+// used by APS to sign the webhook calls. There is no SDK client for the Webhooks API yet.
+service.registerWebhooks = async (callbackUrl, secret) => {
+    const accessToken = await getInternalToken();
+    const headers = { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json' };
+    if (secret) {
+        let resp = await fetch('https://developer.api.autodesk.com/webhooks/v1/tokens', { method: 'POST', headers, body: JSON.stringify({ token: secret }) });
+        if (resp.status === 400) { // a secret has been set before, so replace it
+            resp = await fetch('https://developer.api.autodesk.com/webhooks/v1/tokens/@me', { method: 'PUT', headers, body: JSON.stringify({ token: secret }) });
+        }
+        if (!resp.ok) {
+            throw new Error(`Could not set the webhook secret: ${await resp.text()}`);
+        }
+    }
+    let hooks = [];
+    for (const event of ['extraction.updated', 'extraction.finished']) {
+        const resp = await fetch(`https://developer.api.autodesk.com/webhooks/v1/systems/derivative/events/${event}/hooks`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ callbackUrl, scope: { workflow: APS_WEBHOOK_WORKFLOW }, autoReactivateHook: true })
+        });
+        if (resp.status !== 409 && !resp.ok) { // 409 means the hook already exists
+            throw new Error(`Could not register the ${event} webhook: ${await resp.text()}`);
+        }
+        hooks.push({ event, status: resp.status === 409 ? 'exists' : 'created' });
+    }
+    return hooks;
+};
\ No newline at end of file
@@ -0,0 +1,501 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { Region, PolicyKey } = require('@aps_sdk/oss');
+const { urnify, parseUrn, pickFields } = require('./shared.js');
+const { APS_BUCKET, MOCK_DIR, MOCK_JOB_SECONDS, SITE_URL, PORT, BASE_PATH, AUTH_SECRET } = require('../../config.js');
+
+const JOB_DURATION = MOCK_JOB_SECONDS * 1000;
+const VIEWABLE_TYPES = ['svf', 'svf2'];
+const BUCKET_KEY = /^[-_.a-z0-9]{3,128}$/; // as OSS allows
+const URL_TTL = 10 * 60 * 1000; // how long signed URLs are valid
+const BASE_URL = `${SITE_URL || `http://localhost:${PORT}`}${BASE_PATH}`; // the signed URLs point back at routes/mock.js
+const THUMBNAIL = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+// A local stand-in for APS, used when there are no credentials (or APS_PROVIDER=mock). Buckets and objects
+// are kept as files under MOCK_DIR, tokens are canned, and translations and exports pretend to make progress
+// for a few seconds before they succeed. Models with "fail" in their name fail to translate, to try the error paths.
+// The viewer itself cannot load the fake derivatives, everything else works without network access.
+const service = module.exports = {};
+
+// Same shape as the errors thrown by the SDK clients, so that callers can handle both alike
+function apsError(status, message) {
+    const err = new Error(message);
+    err.axiosError = { response: { status, data: message } };
+    return err;
+}
+
+// Bucket keys (from URNs that anyone can make up) become folder names, so only those OSS would allow are used
+function checkBucketKey(bucketKey) {
+    if (!BUCKET_KEY.test(bucketKey)) {
+        throw apsError(400, `Invalid bucket key ${bucketKey}.`);
+    }
+    return bucketKey;
+}
+
+function bucketFile(bucketKey) {
+    return path.join(MOCK_DIR, 'buckets', `${checkBucketKey(bucketKey)}.json`);
+}
+
+function objectFile(bucketKey, objectKey) {
+    return path.join(MOCK_DIR, 'objects', checkBucketKey(bucketKey), encodeURIComponent(objectKey));
+}
+
+function jobFile(urn) {
+    return path.join(MOCK_DIR, 'jobs', `${encodeURIComponent(urn)}.json`);
+}
+
+// Object URLs are signed and expire like the signed S3 URLs of OSS, see `verifyObjectUrl`
+function signObjectUrl(urn, expires) {
+    return crypto.createHmac('sha256', AUTH_SECRET).update(`${urn}:${expires}`).digest('hex');
+}
+
+function uploadDir(uploadKey) {
+    if (!/^[0-9a-f]{32}$/.test(uploadKey)) {
+        throw apsError(400, 'Invalid upload key.');
+    }
+    return path.join(MOCK_DIR, 'uploads', uploadKey);
+}
+
+async function readFile(filename) {
+    try {
+        return await fs.readFile(filename);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return null;
+        } else {
+            throw err;
+        }
+    }
+}
+
+async function writeFile(filename, data) {
+    await fs.mkdir(path.dirname(filename), { recursive: true });
+    await fs.writeFile(filename, data);
+}
+
+async function getBucket(bucketKey) {
+    const data = await readFile(bucketFile(bucketKey));
+    return data && JSON.parse(data);
+}
+
+async function requireBucket(bucketKey) {
+    const bucket = await getBucket(bucketKey);
+    if (!bucket) {
+        throw apsError(404, `Bucket ${bucketKey} does not exist.`);
+    }
+    return bucket;
+}
+
+async function toObject(bucketKey, objectKey) {
+    const filename = objectFile(bucketKey, objectKey);
+    let stats;
+    try {
+        stats = await fs.stat(filename);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            throw apsError(404, `Object ${objectKey} does not exist.`);
+        } else {
+            throw err;
+        }
+    }
+    const objectId = `urn:adsk.objects:os.object:${bucketKey}/${objectKey}`;
+    return {
+        bucketKey,
+        objectKey,
+        objectId,
+        sha1: crypto.createHash('sha1').update(await fs.readFile(filename)).digest('hex'),
+        size: stats.size,
+        lastModifiedDate: Math.floor(stats.mtimeMs),
+        location: `${BASE_URL}/api/mock/objects/${urnify(objectId)}`
+    };
+}
+
+async function prepareBucket(bucketKey) {
+    if (bucketKey === APS_BUCKET) {
+        await service.ensureBucketExists(bucketKey);
+    }
+}
+
+async function getJob(urn) {
+    const data = await readFile(jobFile(urn));
+    return data && JSON.parse(data);
+}
+
+async function startJob(urn, derivative) {
+    const { bucketKey, objectKey } = parseUrn(urn) || {};
+    if (!bucketKey) {
+        throw apsError(400, 'Invalid URN.');
+    }
+    await toObject(bucketKey, objectKey);
+    const job = (await getJob(urn)) || { region: (await requireBucket(bucketKey)).region, derivatives: [] };
+    const isViewable = VIEWABLE_TYPES.includes(derivative.outputType);
+    job.derivatives = job.derivatives
+        .filter(other => other.outputType !== derivative.outputType && !(isViewable && VIEWABLE_TYPES.includes(other.outputType)))
+        .concat({ ...derivative, startedAt: Date.now() });
+    await writeFile(jobFile(urn), JSON.stringify(job));
+    return 'created';
+}
+
+// A fake "model" with a couple of categories, used for the object tree and the properties
+function sampleObjects(name) {
+    return [{
+        objectid: 1,
+        name,
+        objects: [
+            { objectid: 2, name: 'Walls', objects: [{ objectid: 3, name: 'Basic Wall [101]' }, { objectid: 4, name: 'Basic Wall [102]' }] },
+            { objectid: 5, name: 'Doors', objects: [{ objectid: 6, name: 'Single-Flush [201]' }] }
+        ]
+    }];
+}
+
+function viewGuid(urn) {
+    return crypto.createHash('md5').update(urn).digest('hex').replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+}
+
+function buildDerivative(urn, objectKey, derivative) {
+    const elapsed = Date.now() - derivative.startedAt;
+    const status = elapsed < JOB_DURATION ? 'inprogress' : derivative.fails ? 'failed' : 'success';
+    const result = {
+        name: objectKey,
+        outputType: derivative.outputType,
+        status,
+        progress: status === 'inprogress' ? `${Math.floor(100 * elapsed / JOB_DURATION)}% complete` : 'complete',
+        hasThumbnail: String(status === 'success'),
+        messages: status === 'failed' ? [{ type: 'error', code: 'TranslationWorker-InternalFailure', message: 'The local APS stand-in fails models with "fail" in their name.' }] : [],
+        children: []
+    };
+    if (status !== 'success') {
+        return result;
+    }
+    if (VIEWABLE_TYPES.includes(derivative.outputType)) {
+        result.children.push({
+            guid: viewGuid(urn),
+            type: 'geometry',
+            role: '3d',
+            name: '{3D}',
+            status,
+            progress: 'complete',
+            hasThumbnail: 'true',
+            children: [{ guid: crypto.randomUUID(), type: 'resource', role: 'graphics', mime: `application/autodesk-${derivative.outputType}`, urn: `urn:adsk.viewing:fs.file:${urn}/output/0/0.${derivative.outputType}` }]
+        });
+    } else {
+        const basename = path.posix.basename(objectKey).replace(/\.[^.]*$/, '');
+        result.children.push({
+            guid: crypto.randomUUID(),
+            type: 'resource',
+            role: derivative.outputType,
+            mime: 'application/octet-stream',
+            urn: `urn:adsk.viewing:fs.file:${urn}/output/${encodeURIComponent(basename)}.${derivative.outputType}`
+        });
+    }
+    return result;
+}
+
+service.checkCredentials = async () => {
+    const scopes = ['data:read', 'data:create', 'data:write', 'bucket:create', 'bucket:read'];
+    return { requested: scopes, granted: scopes, expiresAt: Date.now() + 3600 * 1000 };
+};
+
+service.getViewerToken = async () => {
+    return { access_token: 'mock-viewer-token', token_type: 'Bearer', expires_in: 3600 };
+};
+
+service.listBuckets = async () => {
+    let filenames = [];
+    try {
+        filenames = await fs.readdir(path.join(MOCK_DIR, 'buckets'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    }
+    return await Promise.all(filenames.map(filename => getBucket(path.basename(filename, '.json'))));
+};
+
+service.createBucket = async (bucketKey, policyKey = PolicyKey.Persistent, region = Region.Us) => {
+    if (await getBucket(bucketKey)) {
+        throw apsError(409, `Bucket ${bucketKey} already exists.`);
+    }
+    const bucket = { bucketKey, bucketOwner: 'local', createdDate: Date.now(), permissions: [], policyKey, region };
+    await writeFile(bucketFile(bucketKey), JSON.stringify(bucket));
+    return bucket;
+};
+
+service.getBucketRegion = async (bucketKey) => {
+    const bucket = await getBucket(bucketKey);
+    return (bucket && bucket.region) || Region.Us;
+};
+
+service.getBucketDetails = async (bucketKey) => {
+    return await requireBucket(bucketKey);
+};
+
+service.ensureBucketExists = async (bucketKey) => {
+    if (!await getBucket(bucketKey)) {
+        await service.createBucket(bucketKey);
+    }
+};
+
+service.listObjects = async (bucketKey = APS_BUCKET, beginsWith) => {
+    return (await service.listObjectsPage(bucketKey, { beginsWith, limit: Infinity })).items;
+};
+
+service.listObjectsPage = async (bucketKey = APS_BUCKET, { beginsWith, startAt, limit = 100 } = {}) => {
+    await prepareBucket(bucketKey);
+    await requireBucket(bucketKey);
+    let filenames = [];
+    try {
+        filenames = await fs.readdir(path.join(MOCK_DIR, 'objects', bucketKey));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    }
+    const objectKeys = filenames.map(filename => decodeURIComponent(filename)).sort()
+        .filter(objectKey => (!beginsWith || objectKey.startsWith(beginsWith)) && (!startAt || objectKey >= startAt));
+    return {
+        items: await Promise.all(objectKeys.slice(0, limit).map(objectKey => toObject(bucketKey, objectKey))),
+        next: objectKeys.length > limit ? objectKeys[limit] : null
+    };
+};
+
+service.getObjectDetails = async (bucketKey, objectKey) => {
+    return await toObject(bucketKey, objectKey);
+};
+
+// Whether the query of an object URL (`expires`, `signature`) was signed for the object and has not expired
+service.verifyObjectUrl = (urn, { expires, signature }) => {
+    const expected = signObjectUrl(urn, expires);
+    return parseInt(expires) > Date.now() && typeof signature === 'string' && signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+service.getSourceDownload = async (urn, filename) => {
+    const { bucketKey, objectKey } = parseUrn(urn);
+    await toObject(bucketKey, objectKey); // 404 for missing objects
+    const expiration = Date.now() + URL_TTL;
+    const params = new URLSearchParams({ filename, expires: expiration, signature: signObjectUrl(urn, expiration) });
+    return { url: `${BASE_URL}/api/mock/objects/${urn}?${params}`, expiration };
+};
+
+service.readObjectRange = async (urn, offset, length) => {
+    const { bucketKey, objectKey } = parseUrn(urn);
+    await toObject(bucketKey, objectKey); // 404 for missing objects
+    const file = await fs.open(objectFile(bucketKey, objectKey));
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await file.read(buffer, 0, length, offset);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await file.close();
+    }
+};
+
+service.uploadObject = async (objectName, filePath, bucketKey = APS_BUCKET) => {
+    await prepareBucket(bucketKey);
+    await requireBucket(bucketKey);
+    await writeFile(objectFile(bucketKey, objectName), await fs.readFile(filePath));
+    return await toObject(bucketKey, objectName);
+};
+
+// The parts are PUT to routes/mock.js, which hands them to `receivePart` below
+service.getUploadUrls = async (objectName, parts, firstPart, uploadKey, bucketKey = APS_BUCKET) => {
+    await prepareBucket(bucketKey);
+    await requireBucket(bucketKey);
+    if (uploadKey) {
+        try {
+            await fs.access(uploadDir(uploadKey));
+        } catch (err) {
+            throw apsError(400, 'The upload has expired.');
+        }
+    } else {
+        uploadKey = crypto.randomBytes(16).toString('hex');
+        await fs.mkdir(uploadDir(uploadKey), { recursive: true });
+    }
+    let urls = [];
+    for (let part = firstPart; part < firstPart + parts; part++) {
+        urls.push(`${BASE_URL}/api/mock/uploads/${uploadKey}/${part}`);
+    }
+    const expiration = Date.now() + 60 * 60 * 1000;
+    return { uploadKey, urls, urlExpiration: expiration, uploadExpiration: expiration };
+};
+
+service.completeUpload = async (objectName, uploadKey, size, bucketKey = APS_BUCKET) => {
+    const dir = uploadDir(uploadKey);
+    let filenames;
+    try {
+        filenames = await fs.readdir(dir);
+    } catch (err) {
+        throw apsError(400, 'The upload has expired.');
+    }
+    const parts = filenames.map(filename => parseInt(filename)).sort((a, b) => a - b);
+    const data = Buffer.concat(await Promise.all(parts.map(part => fs.readFile(path.join(dir, String(part))))));
+    if (size && data.length !== parseInt(size)) {
+        throw apsError(400, `Expected ${size} bytes but received ${data.length}.`);
+    }
+    await writeFile(objectFile(bucketKey, objectName), data);
+    await fs.rm(dir, { recursive: true, force: true });
+    return await toObject(bucketKey, objectName);
+};
+
+service.translateObject = async (urn, rootFilename, options = {}) => {
+    const { objectKey } = parseUrn(urn) || {};
+    if (options.force) {
+        await service.deleteManifest(urn);
+    }
+    return await startJob(urn, { outputType: options.type || 'svf2', fails: /fail/i.test(rootFilename || objectKey || '') });
+};
+
+service.exportObject = async (urn, type) => {
+    return await startJob(urn, { outputType: type, fails: false });
+};
+
+service.getDerivativeDownload = async (urn, derivativeUrn, filename) => {
+    const params = new URLSearchParams({ urn, derivative: derivativeUrn, filename });
+    return { url: `${BASE_URL}/api/mock/derivatives?${params}`, expiration: Date.now() + URL_TTL };
+};
+
+service.getThumbnail = async (urn) => {
+    const manifest = await service.getManifest(urn);
+    return manifest && manifest.hasThumbnail === 'true' ? THUMBNAIL : null;
+};
+
+service.getManifest = async (urn) => {
+    const job = await getJob(urn);
+    if (!job) {
+        return null;
+    }
+    const { objectKey } = parseUrn(urn);
+    const derivatives = job.derivatives.map(derivative => buildDerivative(urn, objectKey, derivative));
+    const viewables = derivatives.find(derivative => VIEWABLE_TYPES.includes(derivative.outputType));
+    const status = derivatives.some(derivative => derivative.status === 'inprogress') ? 'inprogress'
+        : derivatives.some(derivative => derivative.status === 'failed') ? 'failed' : 'success';
+    return {
+        type: 'manifest',
+        urn,
+        region: job.region,
+        version: '1.0',
+        status,
+        progress: status === 'inprogress' ? derivatives.find(derivative => derivative.status === 'inprogress').progress : 'complete',
+        hasThumbnail: viewables ? viewables.hasThumbnail : 'false',
+        derivatives
+    };
+};
+
+service.getModelViews = async (urn) => {
+    const manifest = await service.getManifest(urn);
+    const viewables = manifest && manifest.derivatives.find(derivative => VIEWABLE_TYPES.includes(derivative.outputType));
+    if (!viewables || viewables.status !== 'success') {
+        return null;
+    }
+    return [{ name: '{3D}', role: '3d', guid: viewGuid(urn) }];
+};
+
+service.getObjectTree = async (urn, guid, { objectId, level } = {}) => {
+    if (guid !== viewGuid(urn) || !await service.getModelViews(urn)) {
+        throw apsError(404, 'View not found.');
+    }
+    const prune = (objects, depth) => objects.map(({ objects: children, ...object }) => (
+        children && (!level || depth < level) ? { ...object, objects: prune(children, depth + 1) } : object
+    ));
+    const find = (objects) => {
+        for (const object of objects) {
+            if (object.objectid === objectId) {
+                return object;
+            }
+            const found = find(object.objects || []);
+            if (found) {
+                return found;
+            }
+        }
+        return null;
+    };
+    let objects = sampleObjects(parseUrn(urn).objectKey);
+    if (objectId) {
+        const object = find(objects);
+        objects = object ? [object] : [];
+    }
+    return { type: 'objects', objects: prune(objects, 1) };
+};
+
+service.getProperties = async (urn, guid, { objectIds, name, fields, offset = 0, limit = 100 } = {}) => {
+    const tree = await service.getObjectTree(urn, guid);
+    let records = [];
+    const flatten = (objects) => {
+        for (const object of objects) {
+            records.push({
+                objectid: object.objectid,
+                name: object.name,
+                externalId: `mock-${object.objectid}`,
+                properties: object.objects ? {} : {
+                    'Identity Data': { Mark: String(object.objectid) },
+                    Dimensions: { Length: `${1000 * object.objectid} mm`, Height: '3000 mm' }
+                }
+            });
+            flatten(object.objects || []);
+        }
+    };
+    flatten(tree.objects);
+    if (objectIds) {
+        records = records.filter(record => objectIds.includes(record.objectid));
+    } else if (name) {
+        records = records.filter(record => record.name.startsWith(name));
+    }
+    let collection = records.slice(offset, offset + limit);
+    if (fields) {
+        collection = collection.map(record => pickFields(record, fields));
+    }
+    return { collection, pagination: { offset, limit, totalResults: records.length } };
+};
+
+service.deleteObject = async (urn) => {
+    const { bucketKey, objectKey } = parseUrn(urn);
+    await toObject(bucketKey, objectKey);
+    await fs.rm(jobFile(urn), { force: true });
+    await fs.rm(objectFile(bucketKey, objectKey));
+};
+
+service.listFormats = async () => {
+    return { svf: ['dwg', 'ifc', 'nwd', 'rvt', 'zip'], svf2: ['dwg', 'ifc', 'nwd', 'rvt', 'zip'] };
+};
+
+service.deleteManifest = async (urn) => {
+    await fs.rm(jobFile(urn), { force: true });
+};
+
+service.readJson = async (bucketKey, objectKey) => {
+    const data = await readFile(objectFile(bucketKey, objectKey));
+    return data && JSON.parse(data);
+};
+
+service.writeJson = async (bucketKey, objectKey, data) => {
+    await requireBucket(bucketKey);
+    await writeFile(objectFile(bucketKey, objectKey), JSON.stringify(data));
+    return await toObject(bucketKey, objectKey);
+};
+
+service.removeObject = async (bucketKey, objectKey) => {
+    await fs.rm(objectFile(bucketKey, objectKey), { force: true });
+};
+
+service.registerWebhooks = async () => {
+    return ['extraction.updated', 'extraction.finished'].map(event => ({ event, status: 'skipped (local APS stand-in)' }));
+};
+
+// Used by routes/mock.js in place of the signed S3 and derivative URLs
+
+service.receivePart = async (uploadKey, part, data) => {
+    const dir = uploadDir(uploadKey);
+    try {
+        await fs.access(dir);
+    } catch (err) {
+        throw apsError(404, 'The upload has expired.');
+    }
+    await fs.writeFile(path.join(dir, String(part)), data);
+};
+
+service.readObject = async (urn) => {
+    const { bucketKey, objectKey } = parseUrn(urn) || {};
+    return bucketKey ? await readFile(objectFile(bucketKey, objectKey)) : null;
+};
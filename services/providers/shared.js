@@ -0,0 +1,34 @@
+// Helpers shared by the APS providers and re-exported by services/aps.js
+
+const shared = module.exports = {};
+
+shared.urnify = (id) => Buffer.from(id).toString('base64').replace(/=/g, '');
+
+// Reverses `urnify`, splitting an object ID like "urn:adsk.objects:os.object:<bucket>/<key>" into its parts.
+shared.parseUrn = (urn) => {
+    const id = Buffer.from(urn, 'base64').toString();
+    const match = id.match(/^urn:adsk\.objects:os\.object:([^\/]+)\/(.+)$/);
+    if (!match) {
+        return null;
+    }
+    return { bucketKey: match[1], objectKey: match[2] };
+};
+
+// Keeps only the given fields of a property record, e.g. "name" or "properties.Dimensions.*"
+shared.pickFields = (record, fields) => {
+    let result = {};
+    for (const field of fields) {
+        const [first, ...rest] = field.split('.');
+        for (const key of first === '*' ? Object.keys(record) : [first]) {
+            if (!(key in record)) {
+                continue;
+            }
+            if (rest.length === 0 || typeof record[key] !== 'object' || record[key] === null) {
+                result[key] = record[key];
+            } else {
+                result[key] = { ...result[key], ...shared.pickFields(record[key], [rest.join('.')]) };
+            }
+        }
+    }
+    return result;
+};
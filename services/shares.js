@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const store = require('./store.js');
+const { signShareToken, verifyShareToken, hasRole } = require('./auth.js');
+
+const DEFAULT_TTL = 7 * 24; // hours
+const MAX_TTL = 30 * 24; // hours
+const MAX_VIEW_SIZE = 64 * 1024; // bytes of JSON
+const MAX_ISOLATED = 10000;
+
+// Time-limited, read-only links to one model (version), kept in the app data store by ID:
+// { id, urn, name, view, createdBy, createdAt, expiresAt }. The link itself carries a signed token
+// naming the share, so removing the record revokes the link. The optional `view` is a saved viewer
+// `state` (camera and so on) and a list of dbIds to `isolate`.
+const service = module.exports = {};
+
+// Checks the options of a new share link. Returns { expiresIn (seconds), view } or { error }.
+service.validateShareOptions = (body) => {
+    const hours = body.expiresIn === undefined ? DEFAULT_TTL : Number(body.expiresIn);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_TTL) {
+        return { error: `The link must expire within ${MAX_TTL} hours.` };
+    }
+    const view = body.view || undefined;
+    if (view !== undefined) {
+        if (typeof view !== 'object' || Array.isArray(view) || (view.state !== undefined && typeof view.state !== 'object')) {
+            return { error: 'The view must be an object with a viewer state.' };
+        }
+        if (view.isolate !== undefined && (!Array.isArray(view.isolate) || view.isolate.length > MAX_ISOLATED || !view.isolate.every(Number.isInteger))) {
+            return { error: `The isolated elements must be a list of at most ${MAX_ISOLATED} dbIds.` };
+        }
+        if (JSON.stringify(view).length > MAX_VIEW_SIZE) {
+            return { error: 'The view is too large.' };
+        }
+    }
+    return { expiresIn: Math.round(hours * 60 * 60), view: view && { state: view.state, isolate: view.isolate } };
+};
+
+service.createShare = async (urn, name, { expiresIn, view }, username) => {
+    const share = {
+        id: crypto.randomBytes(12).toString('hex'),
+        urn,
+        name,
+        view,
+        createdBy: username,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + expiresIn * 1000
+    };
+    return await store.put('shares', share.id, share);
+};
+
+// A fresh token for the link, valid for as long as the share itself
+service.getShareToken = (share) => {
+    return signShareToken(share.id, Math.max(1, Math.floor((share.expiresAt - Date.now()) / 1000)));
+};
+
+// The share a link token stands for, or `null` when the token is not valid, has expired, or was revoked
+service.resolveShare = async (token) => {
+    const id = verifyShareToken(token);
+    const share = id && await store.get('shares', id);
+    return share && share.expiresAt > Date.now() ? share : null;
+};
+
+service.getShare = async (id) => {
+    return await store.get('shares', id);
+};
+
+// The unexpired shares the user may manage (their own, or all of them for admins),
+// optionally only those of one model (version). Expired shares are removed on the way.
+service.listShares = async (user, urn) => {
+    let shares = [];
+    for (const share of await store.list('shares')) {
+        if (share.expiresAt <= Date.now()) {
+            await store.delete('shares', share.id);
+        } else if ((!urn || share.urn === urn) && service.canManageShare(user, share)) {
+            shares.push(share);
+        }
+    }
+    return shares.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+service.canManageShare = (user, share) => {
+    return share.createdBy === user.username || hasRole(user, 'admin');
+};
+
+service.revokeShare = async (id) => {
+    await store.delete('shares', id);
+};
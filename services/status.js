@@ -0,0 +1,87 @@
+const store = require('./store.js');
+const { getManifest } = require('./aps.js');
+const { recordEvent } = require('./audit.js');
+const { APS_PROVIDER } = require('../config.js');
+
+// Re-check jobs in progress with Model Derivative if they were not checked (nor reported by a webhook) for this long.
+// The local APS stand-in sends no webhooks at all, so its fake jobs are checked on every request.
+const STALE_AFTER = APS_PROVIDER === 'mock' ? 0 : 30 * 1000;
+const WAIT_INTERVAL = 3000; // between reads of the status store while a long-polling request waits
+const VIEWABLE_TYPES = ['svf', 'svf2'];
+
+// Translation status of each model, updated by the Model Derivative webhooks and read by the status routes:
+// { status, progress, messages, derivatives, updatedAt, checkedAt }. `updatedAt` only changes with the status or
+// progress, which is what long-polling clients wait for; `checkedAt` is when the manifest was last looked at.
+const service = module.exports = {};
+
+// The derivatives of a manifest as a tree of their views and other children, each with its own status
+// and messages. Plain resources (geometry files, thumbnails, etc.) are only kept when they report something.
+function toDiagnostics(node) {
+    return {
+        name: node.name,
+        type: node.outputType || node.type,
+        role: node.role,
+        status: node.status,
+        progress: node.progress,
+        messages: node.messages || [],
+        children: (node.children || []).map(toDiagnostics).filter(child => child.type !== 'resource' || child.messages.length > 0 || child.children.length > 0)
+    };
+}
+
+function collectMessages(node) {
+    return node.children.reduce((messages, child) => messages.concat(collectMessages(child)), node.messages);
+}
+
+function summarize(manifest) {
+    const derivatives = (manifest.derivatives || []).map(toDiagnostics);
+    const messages = derivatives.reduce((messages, derivative) => messages.concat(collectMessages(derivative)), []);
+    // Exports add derivatives to the same manifest, so report the state of the viewables when there are any
+    const viewables = (manifest.derivatives || []).find(derivative => VIEWABLE_TYPES.includes(derivative.outputType));
+    const { status, progress } = viewables || manifest;
+    return { status: status === 'pending' ? 'inprogress' : status, progress, messages, derivatives };
+}
+
+// Translations that end are audited once, when their status first changes from "inprogress"
+service.recordManifest = async (urn, manifest) => {
+    const previous = await store.get('status', urn);
+    const summary = summarize(manifest);
+    const now = Date.now();
+    const changed = !previous || previous.status !== summary.status || previous.progress !== summary.progress;
+    const record = await store.put('status', urn, { ...summary, updatedAt: changed ? now : previous.updatedAt, checkedAt: now });
+    if (previous && previous.status === 'inprogress' && record.status !== 'inprogress') {
+        await recordEvent(null, 'translate', { urn, outcome: record.status, details: { messages: record.messages.length } });
+    }
+    return record;
+};
+
+service.markPending = async (urn) => {
+    const now = Date.now();
+    return await store.put('status', urn, { status: 'inprogress', progress: '0% complete', messages: [], derivatives: [], updatedAt: now, checkedAt: now });
+};
+
+service.clearStatus = async (urn) => {
+    await store.delete('status', urn);
+};
+
+service.getStatus = async (urn) => {
+    let record = await store.get('status', urn);
+    if (!record || (record.status === 'inprogress' && Date.now() - (record.checkedAt || record.updatedAt) > STALE_AFTER)) {
+        const manifest = await getManifest(urn);
+        record = manifest ? await service.recordManifest(urn, manifest) : { status: 'n/a' };
+    }
+    return record;
+};
+
+// Long-polling: resolves as soon as the status changes after `since` (the `updatedAt` the client saw last),
+// the job is no longer in progress, or `timeout` milliseconds have passed.
+service.waitForStatus = async (urn, since, timeout) => {
+    const deadline = Date.now() + timeout;
+    while (true) {
+        const record = await service.getStatus(urn);
+        const remaining = deadline - Date.now();
+        if (record.status !== 'inprogress' || record.updatedAt > since || remaining <= 0) {
+            return record;
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.min(WAIT_INTERVAL, remaining)));
+    }
+};
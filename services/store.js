@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { readJson, writeJson, removeObject, listObjects, ensureBucketExists } = require('./aps.js');
+const { APS_STORE_BUCKET, STORE_DIR } = require('../config.js');
+
+// A tiny document store for app data. Records are grouped in collections and kept as one JSON
+// document each: by default as objects in a dedicated bucket (shared by all function instances),
+// or as files under STORE_DIR when that is configured (handy for local development).
+
+function documentName(collection, key) {
+    return `${collection}/${encodeURIComponent(key)}.json`;
+}
+
+function prepareBucket() {
+    return ensureBucketExists(APS_STORE_BUCKET);
+}
+
+const bucketStore = {
+    async get(collection, key) {
+        await prepareBucket();
+        return await readJson(APS_STORE_BUCKET, documentName(collection, key));
+    },
+
+    async put(collection, key, value) {
+        await prepareBucket();
+        await writeJson(APS_STORE_BUCKET, documentName(collection, key), value);
+        return value;
+    },
+
+    async delete(collection, key) {
+        await prepareBucket();
+        await removeObject(APS_STORE_BUCKET, documentName(collection, key));
+    },
+
+    async list(collection) {
+        await prepareBucket();
+        const objects = await listObjects(APS_STORE_BUCKET, `${collection}/`);
+        return await Promise.all(objects.map(obj => readJson(APS_STORE_BUCKET, obj.objectKey)));
+    }
+};
+
+const fileStore = {
+    async get(collection, key) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(STORE_DIR, documentName(collection, key)), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            } else {
+                throw err;
+            }
+        }
+    },
+
+    async put(collection, key, value) {
+        await fs.mkdir(path.join(STORE_DIR, collection), { recursive: true });
+        // Written aside and moved in place, so that concurrent reads never see half a document
+        const filename = path.join(STORE_DIR, documentName(collection, key));
+        const tempFilename = `${filename}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.writeFile(tempFilename, JSON.stringify(value));
+        await fs.rename(tempFilename, filename);
+        return value;
+    },
+
+    async delete(collection, key) {
+        await fs.rm(path.join(STORE_DIR, documentName(collection, key)), { force: true });
+    },
+
+    async list(collection) {
+        let filenames = [];
+        try {
+            filenames = await fs.readdir(path.join(STORE_DIR, collection));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+        return await Promise.all(filenames.filter(filename => filename.endsWith('.json')).map(async (filename) => JSON.parse(await fs.readFile(path.join(STORE_DIR, collection, filename), 'utf8'))));
+    }
+};
+
+module.exports = STORE_DIR ? fileStore : bucketStore;
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { listObjects, getObjectDetails, urnify, parseUrn } = require('./aps.js');
+const store = require('./store.js');
+const { ApiError, getUpstreamStatus } = require('./errors.js');
+const { getIndex, refreshIndexes, recordObject, removeModel, updateModelSummary } = require('./listing.js');
+
+// Every upload of a model is kept as its own object, "<name>/v<version>/<name>", so the file name (and its
+// extension, which the Model Derivative service goes by) stays the last part of the key. The model ID is the
+// name it was uploaded with; objects from before versioning keep their plain name and count as version 1.
+// The app data store keeps, by model, which version an admin pinned as current, who uploaded each version and how it
+// was last translated, and the versions reserved by uploads in progress: { pinned, uploads: { <version>: { uploadedBy,
+// uploadedAt, translation: { rootFilename, profile, type, views, advanced } } }, reserved: { <version>: { id,
+// reservedBy, expiresAt } } }. Without a pin the latest version is current.
+const service = module.exports = {};
+
+const VERSIONED_KEY = /^(.+)\/v(\d+)\/([^\/]+)$/;
+const RESERVATION_TTL = 24 * 60 * 60 * 1000; // as long as OSS keeps an unfinished upload
+const MAX_RESERVE_ATTEMPTS = 5;
+const reserving = new Map(); // the last reservation in this process, by versions record
+
+service.versionedKey = (modelId, version) => {
+    return `${modelId}/v${version}/${modelId}`;
+};
+
+// The model ID and version of an object key
+service.parseObjectKey = (objectKey) => {
+    const match = objectKey.match(VERSIONED_KEY);
+    if (match && match[1] === match[3]) {
+        return { modelId: match[1], version: parseInt(match[2]) };
+    }
+    return { modelId: objectKey, version: 1 };
+};
+
+// The bucket and model ID of any version's URN
+service.getModelRef = (urn) => {
+    const { bucketKey, objectKey } = parseUrn(urn);
+    return { bucketKey, modelId: service.parseObjectKey(objectKey).modelId };
+};
+
+// The key models are stored under in the app data store, the same for all versions of a model
+service.getModelKey = (urn) => {
+    const { bucketKey, modelId } = service.getModelRef(urn);
+    return `${bucketKey}/${modelId}`;
+};
+
+function toVersion(obj) {
+    return {
+        version: service.parseObjectKey(obj.objectKey).version,
+        objectKey: obj.objectKey,
+        urn: urnify(obj.objectId),
+        size: obj.size,
+        sha1: obj.sha1,
+        lastModified: obj.lastModified
+    };
+}
+
+async function getRecord(bucketKey, modelId) {
+    return (await store.get('versions', `${bucketKey}/${modelId}`)) || { uploads: {} };
+}
+
+function toModel(bucketKey, modelId, versions, record) {
+    versions.sort((a, b) => a.version - b.version);
+    const pinned = versions.find(v => v.version === record.pinned);
+    for (const v of versions) {
+        Object.assign(v, record.uploads[v.version]);
+    }
+    return {
+        modelId,
+        bucketKey,
+        versions,
+        current: pinned || versions[versions.length - 1],
+        pinned: !!pinned
+    };
+}
+
+// All models of a bucket, from its listing index: { models, indexing }, with `indexing` set while the index of a bucket
+// the app did not create is first being built (and may miss models). Each model: { modelId, bucketKey, versions
+// (oldest first), current, pinned, summary }, where the summary holds the catalogue details. Versions carry no
+// uploader here, see `getModel`.
+service.getListing = async (bucketKey) => {
+    const index = await getIndex(bucketKey);
+    let groups = new Map();
+    for (const obj of index.objects) {
+        const { modelId } = service.parseObjectKey(obj.objectKey);
+        if (!groups.has(modelId)) {
+            groups.set(modelId, []);
+        }
+        groups.get(modelId).push(toVersion(obj));
+    }
+    const models = Array.from(groups, ([modelId, versions]) => {
+        const summary = index.models[modelId] || {};
+        return { ...toModel(bucketKey, modelId, versions, { pinned: summary.pinned, uploads: {} }), summary };
+    });
+    return { models, indexing: !index.builtAt };
+};
+
+service.listModels = async (bucketKey) => {
+    return (await service.getListing(bucketKey)).models;
+};
+
+// Brings the listing indexes of all projects up to date with OSS, for about `timeLimit` ms (see listing.js)
+service.refreshListings = async (timeLimit) => {
+    await refreshIndexes(objectKey => service.parseObjectKey(objectKey).modelId, timeLimit);
+};
+
+// The version of a model in the bucket whose file has the given SHA-1 hash: { model, version }, or `null`
+service.findVersionByHash = async (bucketKey, sha1) => {
+    for (const model of await service.listModels(bucketKey)) {
+        const version = model.versions.find(v => v.sha1 === sha1);
+        if (version) {
+            return { model, version };
+        }
+    }
+    return null;
+};
+
+// The model with the given ID, or `null` when no version of it exists
+service.getModel = async (bucketKey, modelId) => {
+    const objects = await listObjects(bucketKey, modelId);
+    const versions = objects.filter(obj => service.parseObjectKey(obj.objectKey).modelId === modelId).map(toVersion);
+    if (versions.length === 0) {
+        return null;
+    }
+    return toModel(bucketKey, modelId, versions, await getRecord(bucketKey, modelId));
+};
+
+// The model any version's URN belongs to
+service.getModelOf = async (urn) => {
+    const { bucketKey, objectKey } = parseUrn(urn);
+    return await service.getModel(bucketKey, service.parseObjectKey(objectKey).modelId);
+};
+
+// Reserves the next version of `modelId` for an upload that is about to start, and returns its object key.
+// Reservations are kept until the upload is recorded (or they expire), so that uploads of the same name in flight
+// each get a version of their own. Reservations in this process take turns; the store cannot write conditionally,
+// so the record is read back after the reservation, and another version is picked when another instance took this one.
+service.reserveNextObjectKey = (bucketKey, modelId, username) => {
+    const key = `${bucketKey}/${modelId}`;
+    const reservation = (reserving.get(key) || Promise.resolve())
+        .catch(() => {})
+        .then(() => reserveVersion(bucketKey, modelId, username));
+    reserving.set(key, reservation);
+    reservation.catch(() => {}).then(() => {
+        if (reserving.get(key) === reservation) {
+            reserving.delete(key);
+        }
+    });
+    return reservation;
+};
+
+async function reserveVersion(bucketKey, modelId, username) {
+    for (let attempt = 1; attempt <= MAX_RESERVE_ATTEMPTS; attempt++) {
+        const [model, record] = await Promise.all([service.getModel(bucketKey, modelId), getRecord(bucketKey, modelId)]);
+        const now = Date.now();
+        const reserved = Object.entries(record.reserved || {}).filter(([, reservation]) => reservation.expiresAt > now);
+        const version = Math.max(0, ...(model ? model.versions.map(v => v.version) : []), ...reserved.map(([v]) => parseInt(v))) + 1;
+        const id = crypto.randomBytes(8).toString('hex');
+        record.reserved = Object.fromEntries([...reserved, [version, { id, reservedBy: username, expiresAt: now + RESERVATION_TTL }]]);
+        await store.put('versions', `${bucketKey}/${modelId}`, record);
+        const check = await getRecord(bucketKey, modelId);
+        if (check.reserved && check.reserved[version] && check.reserved[version].id === id) {
+            return service.versionedKey(modelId, version);
+        }
+    }
+    throw new ApiError(409, 'conflict', `Too many uploads of ${modelId} at once, please try again.`, { retryable: true });
+}
+
+// Whether a version has been uploaded under the object key, e.g. by another upload that got the same reservation
+service.versionExists = async (bucketKey, objectKey) => {
+    try {
+        await getObjectDetails(bucketKey, objectKey);
+        return true;
+    } catch (err) {
+        if (getUpstreamStatus(err) === 404) {
+            return false;
+        } else {
+            throw err;
+        }
+    }
+};
+
+// Records who uploaded a new version (the object returned by OSS), releases its reservation, and adds it to the listing index
+service.recordVersion = async (obj, username) => {
+    const { modelId, version } = service.parseObjectKey(obj.objectKey);
+    const record = await getRecord(obj.bucketKey, modelId);
+    record.uploads[version] = { uploadedBy: username, uploadedAt: Date.now() };
+    if (record.reserved) {
+        delete record.reserved[version];
+    }
+    await recordObject(obj.bucketKey, obj, Date.now());
+    return await store.put('versions', `${obj.bucketKey}/${modelId}`, record);
+};
+
+// Keeps how a version was translated (the root file of archives, the profile and its options), so that it can be
+// translated the same way again once its derivatives expire (see housekeeping.js)
+service.recordTranslation = async (urn, rootFilename, options) => {
+    const { bucketKey, objectKey } = parseUrn(urn);
+    const { modelId, version } = service.parseObjectKey(objectKey);
+    const { profile, type, views, advanced } = options;
+    const record = await getRecord(bucketKey, modelId);
+    record.uploads[version] = { ...record.uploads[version], translation: { rootFilename, profile, type, views, advanced } };
+    await store.put('versions', `${bucketKey}/${modelId}`, record);
+};
+
+// How a version was last translated ({ rootFilename, profile, type, views, advanced }), or `undefined` if that was not recorded
+service.getTranslation = async (urn) => {
+    const { bucketKey, objectKey } = parseUrn(urn);
+    const { modelId, version } = service.parseObjectKey(objectKey);
+    const record = await getRecord(bucketKey, modelId);
+    return (record.uploads[version] || {}).translation;
+};
+
+// Pins the current version of a model, or with `null` goes back to the latest version being current
+service.pinVersion = async (urn, version) => {
+    const { bucketKey, objectKey } = parseUrn(urn);
+    const { modelId } = service.parseObjectKey(objectKey);
+    const record = await getRecord(bucketKey, modelId);
+    if (version) {
+        record.pinned = version;
+    } else {
+        delete record.pinned;
+    }
+    await updateModelSummary(bucketKey, modelId, { pinned: version });
+    return await store.put('versions', `${bucketKey}/${modelId}`, record);
+};
+
+// Forgets a model whose objects have been deleted
+service.deleteVersions = async (model) => {
+    await store.delete('versions', `${model.bucketKey}/${model.modelId}`);
+    await removeModel(model.bucketKey, model.modelId, model.versions.map(v => v.objectKey));
+};
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login, createProject, uploadModel } = require('./helpers.js');
+
+describe('project access', () => {
+    let app, alpha, beta, alphaToken, betaToken, model;
+
+    before(async () => {
+        app = await startApp();
+        alpha = await createProject(app, 'alpha');
+        beta = await createProject(app, 'beta');
+        alphaToken = await login(app, 'alpha-uploader', 'uploader', [alpha]);
+        betaToken = await login(app, 'beta-uploader', 'uploader', [beta]);
+        model = await uploadModel(app, alphaToken, alpha, 'house.rvt', 'content');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('asks for a login without a session', async () => {
+        const { status, body } = await request(app, 'GET', `/api/models?bucket=${alpha}`);
+        assert.strictEqual(status, 401);
+        assert.deepStrictEqual(body, { error: { code: 'unauthorized', message: 'Please log in.', retryable: false } });
+    });
+
+    it('does not list the models of another project', async () => {
+        assert.strictEqual((await request(app, 'GET', `/api/models?bucket=${alpha}`, { token: alphaToken })).status, 200);
+        assert.strictEqual((await request(app, 'GET', `/api/models?bucket=${alpha}`, { token: betaToken })).status, 403);
+    });
+
+    it('does not find models of another project by their URN', async () => {
+        assert.strictEqual((await request(app, 'GET', `/api/models/${model.urn}/versions`, { token: alphaToken })).status, 200);
+        for (const url of [`/api/models/${model.urn}/versions`, `/api/models/${model.urn}/status`, `/api/models/${model.urn}/source`]) {
+            const { status, body } = await request(app, 'GET', url, { token: betaToken });
+            assert.strictEqual(status, 404, url);
+            assert.strictEqual(body.error.code, 'not_found', url);
+        }
+        assert.strictEqual((await request(app, 'DELETE', `/api/models/${model.urn}`, { token: betaToken })).status, 404);
+    });
+
+    it('does not upload to another project', async () => {
+        const { status } = await request(app, 'POST', '/api/models/uploads', { token: betaToken, body: { bucket: alpha, name: 'house.rvt' } });
+        assert.strictEqual(status, 403);
+    });
+
+    it('hands out viewer tokens only for models and projects of the user', async () => {
+        const own = await request(app, 'GET', `/api/auth/token?urn=${model.urn}`, { token: alphaToken });
+        assert.strictEqual(own.status, 200);
+        assert.ok(own.body.access_token);
+        assert.strictEqual((await request(app, 'GET', `/api/auth/token?bucket=${alpha}`, { token: alphaToken })).status, 200);
+        assert.strictEqual((await request(app, 'GET', `/api/auth/token?urn=${model.urn}`, { token: betaToken })).status, 403);
+        assert.strictEqual((await request(app, 'GET', `/api/auth/token?bucket=${alpha}`, { token: betaToken })).status, 403);
+    });
+
+    it('hands out unscoped viewer tokens only to admins', async () => {
+        const { status, body } = await request(app, 'GET', '/api/auth/token', { token: alphaToken });
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error.code, 'bad_request');
+        const admin = await login(app, 'admin', 'admin');
+        assert.strictEqual((await request(app, 'GET', '/api/auth/token', { token: admin })).status, 200);
+    });
+
+    it('only takes session tokens for a login', async () => {
+        const { startLogin, signShareToken } = require('../services/auth.js');
+        let cookie = null;
+        startLogin({ get: () => undefined }, { cookie: (name, value) => cookie = value }, '/');
+        for (const token of [cookie, signShareToken('share-id', 60)]) {
+            const { status } = await request(app, 'GET', `/api/models?bucket=${alpha}`, { token });
+            assert.strictEqual(status, 401);
+        }
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login, createProject, uploadModel } = require('./helpers.js');
+
+// A ZIP archive (without compression) of files with the given names and sizes
+function zip(files) {
+    let parts = [];
+    let entries = [];
+    let offset = 0;
+    for (const [name, size] of files) {
+        const filename = Buffer.from(name);
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt32LE(size, 18);
+        header.writeUInt32LE(size, 22);
+        header.writeUInt16LE(filename.length, 26);
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4);
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt32LE(size, 20);
+        entry.writeUInt32LE(size, 24);
+        entry.writeUInt16LE(filename.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        parts.push(header, filename, Buffer.alloc(size));
+        entries.push(entry, filename);
+        offset += header.length + filename.length + size;
+    }
+    const directory = Buffer.concat(entries);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...parts, directory, end]);
+}
+
+describe('ZIP archives', () => {
+    let app, bucket, token, upload;
+
+    before(async () => {
+        app = await startApp();
+        bucket = await createProject(app, 'archives');
+        token = await login(app, 'uploader', 'uploader', [bucket]);
+        upload = await uploadModel(app, token, bucket, 'plant.zip', zip([
+            ['readme.txt', 10],
+            ['parts/bolt.ipt', 200],
+            ['parts/frame.ipt', 300],
+            ['plant.iam', 100],
+            ['__MACOSX/._plant.iam', 50],
+            ['site/', 0],
+            ['site/terrain.dwg', 400]
+        ]));
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('does not translate an archive until its root file is chosen', async () => {
+        assert.strictEqual(upload.archive.candidates[0].name, 'plant.iam');
+        const { body } = await request(app, 'GET', `/api/models/${upload.urn}/status`, { token });
+        assert.strictEqual(body.status, 'n/a');
+    });
+
+    it('ranks the design files in the archive', async () => {
+        const { status, body } = await request(app, 'GET', `/api/models/${upload.urn}/archive`, { token });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.files, 5); // without folders and leftovers of the tools
+        assert.strictEqual(body.composite, true);
+        assert.deepStrictEqual(body.candidates.map(file => [file.name, file.size, file.type]), [
+            ['plant.iam', 100, 'Inventor assembly'],
+            ['site/terrain.dwg', 400, 'AutoCAD drawing'],
+            ['parts/frame.ipt', 300, 'Inventor part'],
+            ['parts/bolt.ipt', 200, 'Inventor part']
+        ]);
+    });
+
+    it('only translates from a design file in the archive', async () => {
+        for (const rootFilename of [undefined, 'readme.txt', 'plant.IAM', '__MACOSX/._plant.iam']) {
+            const { status } = await request(app, 'POST', `/api/models/${upload.urn}/translate`, { token, body: { rootFilename } });
+            assert.strictEqual(status, 400, rootFilename);
+        }
+        assert.strictEqual((await request(app, 'POST', `/api/models/${upload.urn}/translate`, { token, body: { rootFilename: 'plant.iam' } })).status, 200);
+        const { body } = await request(app, 'GET', `/api/models/${upload.urn}/status`, { token });
+        assert.strictEqual(body.status, 'success');
+    });
+
+    it('translates uploads with a valid root file right away', async () => {
+        const model = await uploadModel(app, token, bucket, 'bridge.zip', zip([['bridge.rvt', 10]]), { 'model-zip-entrypoint': 'bridge.rvt' });
+        assert.strictEqual(model.archive, undefined);
+        const { body } = await request(app, 'GET', `/api/models/${model.urn}/status`, { token });
+        assert.strictEqual(body.status, 'success');
+    });
+
+    it('refuses to inspect other files', async () => {
+        const model = await uploadModel(app, token, bucket, 'house.rvt', 'content');
+        assert.strictEqual((await request(app, 'GET', `/api/models/${model.urn}/archive`, { token })).status, 400);
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login, createProject, uploadModel } = require('./helpers.js');
+
+describe('model catalogue', () => {
+    let app, bucket, token, model;
+
+    before(async () => {
+        app = await startApp();
+        bucket = await createProject(app, 'catalogue');
+        token = await login(app, 'uploader', 'uploader', [bucket]);
+        model = await uploadModel(app, token, bucket, 'A-101_rev3_final.rvt', 'content');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    function patch(body, as = token) {
+        return request(app, 'PATCH', `/api/models/${model.urn}/meta`, { token: as, body });
+    }
+
+    it('records the uploader', async () => {
+        const { body } = await request(app, 'GET', `/api/models/${model.urn}/meta`, { token });
+        assert.deepStrictEqual(body, { tags: [], uploadedBy: 'uploader' });
+    });
+
+    it('updates the fields given and keeps the others', async () => {
+        await patch({ displayName: ' Ground floor ', discipline: 'Architecture', tags: 'plans, level 1,plans' });
+        const { status, body } = await patch({ revision: 'C' });
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body, { displayName: 'Ground floor', discipline: 'Architecture', tags: ['plans', 'level 1'], revision: 'C', uploadedBy: 'uploader' });
+    });
+
+    it('clears empty fields', async () => {
+        const { body } = await patch({ revision: '', tags: [] });
+        assert.strictEqual(body.revision, undefined);
+        assert.deepStrictEqual(body.tags, []);
+    });
+
+    it('lists the models with their catalogue details, to group and filter by', async () => {
+        const { body } = await request(app, 'GET', `/api/models?bucket=${bucket}&discipline=Architecture`, { token });
+        assert.deepStrictEqual(body.models.map(model => [model.name, model.displayName]), [['A-101_rev3_final.rvt', 'Ground floor']]);
+        assert.deepStrictEqual(body.disciplines, ['Architecture']);
+        const search = await request(app, 'GET', `/api/models?bucket=${bucket}&q=ground`, { token });
+        assert.strictEqual(search.body.total, 1);
+    });
+
+    it('refuses invalid fields', async () => {
+        for (const body of [{ displayName: 42 }, { description: 'x'.repeat(2001) }, { tags: [1, 2] }, { tags: Array.from({ length: 21 }, (_, i) => `tag${i}`) }]) {
+            const { status } = await patch(body);
+            assert.strictEqual(status, 400, JSON.stringify(body).substring(0, 50));
+        }
+    });
+
+    it('only lets uploaders edit', async () => {
+        const viewer = await login(app, 'viewer', 'viewer', [bucket]);
+        assert.strictEqual((await request(app, 'GET', `/api/models/${model.urn}/meta`, { token: viewer })).status, 200);
+        assert.strictEqual((await patch({ displayName: 'Mine' }, viewer)).status, 403);
+    });
+});
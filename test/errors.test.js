@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login, createProject, uploadModel } = require('./helpers.js');
+
+// An error as thrown by the APS SDK clients for a response with the given status
+function apsError(status, data) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), { axiosError: { response: { status, data } } });
+}
+
+describe('API errors', () => {
+    let app, token, model;
+
+    before(async () => {
+        app = await startApp();
+        const bucket = await createProject(app, 'errors');
+        token = await login(app, 'uploader', 'uploader', [bucket]);
+        model = await uploadModel(app, token, bucket, 'fail.rvt', 'content');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('answers bodies that are not valid JSON as client errors', async () => {
+        const resp = await fetch(`${app.url}/api/models/uploads`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+            body: '{bad'
+        });
+        assert.strictEqual(resp.status, 400);
+        assert.strictEqual((await resp.json()).error.code, 'bad_request');
+    });
+
+    it('passes on client errors of APS with their status', async () => {
+        const { status, body } = await request(app, 'GET', `/api/models/${model.urn}/tree?guid=unknown`, { token });
+        assert.strictEqual(status, 404);
+        assert.deepStrictEqual(body, { error: { code: 'not_found', message: 'View not found.', retryable: false, upstreamStatus: 404 } });
+    });
+
+    it('reports the messages of failed translations', async () => {
+        const { body } = await request(app, 'GET', `/api/models/${model.urn}/status`, { token });
+        assert.strictEqual(body.status, 'failed');
+        assert.deepStrictEqual(body.messages.map(message => message.code), ['TranslationWorker-InternalFailure']);
+        assert.deepStrictEqual(body.derivatives.map(derivative => [derivative.type, derivative.status, derivative.messages.length]), [['svf2', 'failed', 1]]);
+    });
+
+    it('maps failures of APS and the network to typed errors', () => {
+        const { toApiError } = require('../services/errors.js');
+        const cases = [
+            [apsError(401, { developerMessage: 'Token expired' }), 502, 'upstream_unauthorized', false],
+            [apsError(429), 503, 'rate_limited', true],
+            [apsError(500, 'Internal error'), 502, 'upstream_error', true],
+            [apsError(409, { reason: 'Exists' }), 409, 'conflict', false],
+            [Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 503, 'upstream_unavailable', true],
+            [new TypeError('undefined is not a function'), 500, 'internal_error', false]
+        ];
+        for (const [err, status, code, retryable] of cases) {
+            const apiError = toApiError(err);
+            assert.deepStrictEqual([apiError.status, apiError.code, apiError.retryable], [status, code, retryable], err.message);
+        }
+        assert.strictEqual(toApiError(apsError(409, { reason: 'Exists' })).message, 'Exists');
+        assert.strictEqual(toApiError(new TypeError('undefined is not a function')).message, 'Something went wrong on the server.');
+    });
+});
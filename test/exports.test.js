@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login, createProject, uploadModel } = require('./helpers.js');
+
+describe('exports', () => {
+    let app, bucket, token, model;
+
+    before(async () => {
+        app = await startApp();
+        bucket = await createProject(app, 'exports');
+        token = await login(app, 'uploader', 'uploader', [bucket]);
+        model = await uploadModel(app, token, bucket, 'Tower "A" – Level 1.rvt', 'content');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    function download(file, mode) {
+        const params = new URLSearchParams({ derivative: file.derivative, ...(mode ? { mode } : {}) });
+        return fetch(`${app.url}/api/models/${model.urn}/exports/download?${params}`, { headers: { 'Authorization': `Bearer ${token}` }, redirect: 'manual' });
+    }
+
+    it('refuses unknown types, and object IDs for other types than OBJ', async () => {
+        for (const body of [{ type: 'pdf' }, { type: 'ifc', objectIds: [3] }, { type: 'obj', objectIds: 3 }]) {
+            const { status } = await request(app, 'POST', `/api/models/${model.urn}/exports`, { token, body });
+            assert.strictEqual(status, 400, JSON.stringify(body));
+        }
+    });
+
+    it('lists the finished exports with their files', async () => {
+        assert.strictEqual((await request(app, 'POST', `/api/models/${model.urn}/exports`, { token, body: { type: 'ifc' } })).status, 200);
+        assert.strictEqual((await request(app, 'POST', `/api/models/${model.urn}/exports`, { token, body: { type: 'obj', objectIds: [3, 4] } })).status, 200);
+        const { body } = await request(app, 'GET', `/api/models/${model.urn}/exports`, { token });
+        assert.deepStrictEqual(body.map(derivative => [derivative.type, derivative.status, derivative.files.map(file => file.name)]), [
+            ['ifc', 'success', ['Tower "A" – Level 1.ifc']],
+            ['obj', 'success', ['Tower "A" – Level 1.obj']]
+        ]);
+    });
+
+    it('redirects downloads to a signed URL', async () => {
+        const [ifc] = (await request(app, 'GET', `/api/models/${model.urn}/exports`, { token })).body;
+        const resp = await download(ifc.files[0]);
+        assert.strictEqual(resp.status, 302);
+        assert.ok(resp.headers.get('location').includes('/api/mock/derivatives?'));
+    });
+
+    it('streams downloads as attachments with the file name encoded', async () => {
+        const [ifc] = (await request(app, 'GET', `/api/models/${model.urn}/exports`, { token })).body;
+        const resp = await download(ifc.files[0], 'stream');
+        assert.strictEqual(resp.status, 200);
+        assert.strictEqual(resp.headers.get('content-type'), 'application/octet-stream');
+        assert.strictEqual(resp.headers.get('content-disposition'), 'attachment; filename="Tower \\"A\\" ? Level 1.ifc"; filename*=UTF-8\'\'Tower%20%22A%22%20%E2%80%93%20Level%201.ifc');
+        assert.match(await resp.text(), /^Placeholder for .*\.ifc of /);
+    });
+
+    it('only lets uploaders export', async () => {
+        const viewer = await login(app, 'viewer', 'viewer', [bucket]);
+        const { status } = await request(app, 'POST', `/api/models/${model.urn}/exports`, { token: viewer, body: { type: 'ifc' } });
+        assert.strictEqual(status, 403);
+    });
+});
@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login } = require('./helpers.js');
+
+describe('health', () => {
+    let app, token;
+
+    before(async () => {
+        app = await startApp();
+        token = await login(app, 'viewer', 'viewer');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('needs a login', async () => {
+        assert.strictEqual((await request(app, 'GET', '/api/health')).status, 401);
+    });
+
+    it('reports the checks of the APS integration', async () => {
+        const { status, body } = await request(app, 'GET', '/api/health', { token });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.status, 'ok');
+        assert.strictEqual(body.provider, 'mock');
+        assert.strictEqual(body.store, 'files');
+        assert.deepStrictEqual(body.checks.map(check => [check.name, check.status]), [
+            ['credentials', 'ok'], ['scopes', 'ok'], ['bucket', 'ok'], ['store', 'skipped'], ['model-derivative', 'ok']
+        ]);
+        assert.ok(body.checks.every(check => typeof check.duration === 'number' && check.message));
+        assert.deepStrictEqual(body.warnings, ['Running against the local APS stand-in, no models can be viewed.']);
+        assert.ok(body.sdk['@aps_sdk/oss']);
+    });
+
+    it('answers from the cached report unless an admin asks for fresh checks', async () => {
+        const first = (await request(app, 'GET', '/api/health', { token })).body;
+        assert.strictEqual((await request(app, 'GET', '/api/health?fresh=true', { token })).body.checkedAt, first.checkedAt);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const admin = await login(app, 'admin', 'admin');
+        assert.ok((await request(app, 'GET', '/api/health?fresh=true', { token: admin })).body.checkedAt > first.checkedAt);
+    });
+});
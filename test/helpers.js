@@ -0,0 +1,108 @@
+// Shared setup of the route tests: the app runs in-process against the local APS stand-in (services/providers/mock.js),
+// with its buckets and app data in a temporary folder of its own. Every test file runs in a process of its own, so
+// `startApp` sets up the environment before anything reads config.js.
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+// Starts the app on a free port and returns { url, close }. The signed URLs of the stand-in point at the app itself,
+// and its fake translations and exports finish right away.
+async function startApp() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'viewer-test-'));
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = `http://localhost:${server.address().port}`;
+    Object.assign(process.env, {
+        URL: url,
+        APS_PROVIDER: 'mock',
+        APS_CLIENT_ID: 'test',
+        APS_CLIENT_SECRET: 'test',
+        APS_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        AUTH_PROVIDER: 'local',
+        AUTH_SECRET: 'test-auth-secret',
+        MOCK_DIR: path.join(dir, 'mock'),
+        MOCK_JOB_SECONDS: '0',
+        STORE_DIR: path.join(dir, 'store')
+    });
+    delete process.env.BASE_PATH;
+    delete process.env.CORS_ORIGINS;
+    const { createApp } = require('../app.js');
+    server.on('request', createApp());
+    return {
+        url,
+        close: async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Sends a JSON request, with the session `token` if given, and returns { status, body }
+async function request(app, method, url, { token, body, headers } = {}) {
+    const resp = await fetch(app.url + url, {
+        method,
+        headers: {
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await resp.text();
+    return { status: resp.status, body: text && resp.headers.get('content-type').includes('json') ? JSON.parse(text) : text };
+}
+
+// Adds a user and returns the session token of their login
+async function login(app, username, role, projects = []) {
+    const { saveUser } = require('../services/auth.js');
+    await saveUser(username, { role, projects, password: 'password' });
+    const { body } = await request(app, 'POST', '/api/auth/login', { body: { username, password: 'password' } });
+    return body.token;
+}
+
+// Creates a project as an admin and returns its bucket key
+async function createProject(app, name) {
+    const token = await login(app, 'project-admin', 'admin');
+    const { status, body } = await request(app, 'POST', '/api/buckets', { token, body: { name } });
+    if (status !== 200) {
+        throw new Error(`Could not create project ${name}: ${JSON.stringify(body)}`);
+    }
+    return body.key;
+}
+
+// Starts a direct upload of `content` and sends its one part; returns the upload to complete with `completeUpload`
+async function startUpload(app, token, bucket, name, content) {
+    const { status, body } = await request(app, 'POST', '/api/models/uploads', { token, body: { bucket, name, parts: 1, allowDuplicate: true } });
+    if (status !== 200) {
+        return { status, body };
+    }
+    const resp = await fetch(body.urls[0], { method: 'PUT', body: content });
+    if (!resp.ok) {
+        throw new Error(`Could not upload the part: ${await resp.text()}`);
+    }
+    return { status, body, upload: { bucket, name, uploadKey: body.uploadKey, objectKey: body.objectKey, size: Buffer.byteLength(content) } };
+}
+
+async function completeUpload(app, token, upload) {
+    return await request(app, 'POST', '/api/models/uploads/complete', { token, body: upload });
+}
+
+// Uploads `content` as a new version of the model `name` and returns the completed upload ({ name, urn, version, archive }).
+// The `options` of the translation (profile, root file of archives, ...) are sent along when completing.
+async function uploadModel(app, token, bucket, name, content, options = {}) {
+    const { status, body, upload } = await startUpload(app, token, bucket, name, content);
+    if (status !== 200) {
+        throw new Error(`Could not start the upload: ${JSON.stringify(body)}`);
+    }
+    const result = await completeUpload(app, token, { ...upload, ...options });
+    if (result.status !== 200) {
+        throw new Error(`Could not complete the upload: ${JSON.stringify(result.body)}`);
+    }
+    return result.body;
+}
+
+module.exports = { WEBHOOK_SECRET, startApp, request, login, createProject, startUpload, completeUpload, uploadModel };
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login, createProject, uploadModel } = require('./helpers.js');
+
+describe('housekeeping', () => {
+    let app, bucket, token, housekeeping, models;
+    // Scratch models are due for removal right away
+    const rules = { scratchTag: 'scratch', scratchDays: 1e-9, purgeFailed: true, retranslate: true, maxTranslations: 20 };
+
+    before(async () => {
+        app = await startApp();
+        bucket = await createProject(app, 'housekeeping');
+        token = await login(app, 'uploader', 'uploader', [bucket]);
+        housekeeping = require('../services/housekeeping.js');
+        models = {};
+        for (const name of ['scratch.rvt', 'fail.rvt', 'expired.rvt']) {
+            models[name] = await uploadModel(app, token, bucket, name, name, { profile: 'svf' });
+            await request(app, 'GET', `/api/models/${models[name].urn}/status`, { token }); // the app only looks after the statuses it knows
+        }
+        await request(app, 'PATCH', `/api/models/${models['scratch.rvt'].urn}/meta`, { token, body: { tags: ['Scratch'] } });
+        await require('../services/aps.js').deleteManifest(models['expired.rvt'].urn);
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    async function getStatus(name) {
+        return (await request(app, 'GET', `/api/models/${models[name].urn}/status`, { token })).body;
+    }
+
+    async function listNames() {
+        return (await request(app, 'GET', `/api/models?bucket=${bucket}`, { token })).body.models.map(model => model.name);
+    }
+
+    it('only reports what it would do in a dry run', async () => {
+        const report = await housekeeping.runHousekeeping({ dryRun: true, rules });
+        assert.strictEqual(report.models, 3);
+        assert.deepStrictEqual(report.removed, [{ bucket, name: 'scratch.rvt', versions: 1 }]);
+        assert.deepStrictEqual(report.purged, [{ bucket, name: 'fail.rvt', version: 1, status: 'failed' }]);
+        assert.deepStrictEqual(report.retranslated, [{ bucket, name: 'expired.rvt', version: 1, rootFilename: undefined, profile: 'svf' }]);
+        assert.deepStrictEqual(await listNames(), ['expired.rvt', 'fail.rvt', 'scratch.rvt']);
+        assert.strictEqual((await getStatus('fail.rvt')).status, 'failed');
+    });
+
+    it('removes scratch models, purges failed translations and translates expired models again', async () => {
+        const report = await housekeeping.runHousekeeping({ rules });
+        assert.deepStrictEqual(report.errors, []);
+        assert.deepStrictEqual(await listNames(), ['expired.rvt', 'fail.rvt']);
+        assert.strictEqual((await getStatus('fail.rvt')).status, 'n/a');
+        const status = await getStatus('expired.rvt');
+        assert.strictEqual(status.status, 'success');
+        assert.deepStrictEqual(status.derivatives.map(derivative => derivative.type), ['svf']);
+    });
+
+    it('works through the scheduled run in batches', async () => {
+        const unfinished = await housekeeping.continueHousekeeping({ timeLimit: -1, rules });
+        assert.strictEqual(unfinished.finishedAt, undefined);
+        assert.strictEqual(unfinished.models, 0);
+        const finished = await housekeeping.continueHousekeeping({ timeLimit: 10000, rules });
+        assert.strictEqual(finished.startedAt, unfinished.startedAt);
+        assert.strictEqual(finished.models, 2);
+        assert.ok(finished.finishedAt);
+        assert.strictEqual(await housekeeping.continueHousekeeping({ timeLimit: 10000, rules }), null);
+    });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login, createProject, uploadModel } = require('./helpers.js');
+
+describe('model listing', () => {
+    let app, bucket, token;
+
+    before(async () => {
+        app = await startApp();
+        bucket = await createProject(app, 'listing');
+        token = await login(app, 'uploader', 'uploader', [bucket]);
+        for (const [name, size] of [['b.rvt', 30], ['a.dwg', 10], ['c.ifc', 20], ['d.rvt', 5]]) {
+            await uploadModel(app, token, bucket, name, 'x'.repeat(size));
+        }
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    function list(query) {
+        return request(app, 'GET', `/api/models?${new URLSearchParams({ bucket, ...query })}`, { token });
+    }
+
+    it('lists the models in pages', async () => {
+        const first = await list({ limit: 3 });
+        assert.deepStrictEqual(first.body.models.map(model => model.name), ['a.dwg', 'b.rvt', 'c.ifc']);
+        assert.strictEqual(first.body.total, 4);
+        const second = await list({ limit: 3, cursor: first.body.next });
+        assert.deepStrictEqual(second.body.models.map(model => model.name), ['d.rvt']);
+        assert.strictEqual(second.body.next, null);
+        assert.deepStrictEqual(second.body.extensions, ['dwg', 'ifc', 'rvt']);
+        assert.strictEqual(second.body.indexing, false);
+    });
+
+    it('lists the details and status of each model', async () => {
+        const { body } = await list({ name: 'a.dwg' });
+        const [model] = body.models;
+        assert.strictEqual(model.size, 10);
+        assert.match(model.sha1, /^[0-9a-f]{40}$/);
+        assert.ok(model.lastModified > 0);
+        assert.strictEqual(model.status, 'success');
+    });
+
+    it('sorts, searches and filters by extension', async () => {
+        assert.deepStrictEqual((await list({ sort: 'size' })).body.models.map(model => model.name), ['b.rvt', 'c.ifc', 'a.dwg', 'd.rvt']);
+        assert.deepStrictEqual((await list({ sort: 'date' })).body.models.map(model => model.name), ['d.rvt', 'c.ifc', 'a.dwg', 'b.rvt']);
+        assert.deepStrictEqual((await list({ ext: 'rvt,.IFC' })).body.models.map(model => model.name), ['b.rvt', 'c.ifc', 'd.rvt']);
+        assert.deepStrictEqual((await list({ q: 'D' })).body.models.map(model => model.name), ['a.dwg', 'd.rvt']);
+    });
+
+    it('refuses invalid pages and sort orders', async () => {
+        for (const query of [{ limit: 0 }, { limit: 201 }, { cursor: 'x' }, { sort: 'color' }]) {
+            const { status } = await list(query);
+            assert.strictEqual(status, 400, JSON.stringify(query));
+        }
+    });
+
+    it('picks up the objects of projects made outside the app once their index is refreshed', async () => {
+        const aps = require('../services/aps.js');
+        const { refreshListings } = require('../services/versions.js');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'viewer-test-'));
+        fs.writeFileSync(path.join(dir, 'model.rvt'), 'content');
+        await aps.createBucket('outside-project');
+        for (let i = 0; i < 120; i++) {
+            await aps.uploadObject(`model-${String(i).padStart(3, '0')}.rvt`, path.join(dir, 'model.rvt'), 'outside-project');
+        }
+        fs.rmSync(dir, { recursive: true });
+        const admin = await login(app, 'admin', 'admin');
+        const before = await request(app, 'GET', '/api/models?bucket=outside-project', { token: admin });
+        assert.deepStrictEqual([before.body.total, before.body.indexing], [0, true]);
+        await refreshListings(0); // one page of objects at a time
+        assert.strictEqual((await request(app, 'GET', '/api/models?bucket=outside-project', { token: admin })).body.indexing, true);
+        await refreshListings(0);
+        const after = await request(app, 'GET', '/api/models?bucket=outside-project&limit=200', { token: admin });
+        assert.deepStrictEqual([after.body.total, after.body.indexing], [120, false]);
+        assert.ok(after.body.models.every(model => model.lastModified > 0));
+    });
+});
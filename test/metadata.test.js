@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login, createProject, uploadModel } = require('./helpers.js');
+
+describe('model metadata', () => {
+    let app, bucket, uploader, token, model, guid;
+
+    before(async () => {
+        app = await startApp();
+        bucket = await createProject(app, 'metadata');
+        uploader = await login(app, 'uploader', 'uploader', [bucket]);
+        token = await login(app, 'viewer', 'viewer', [bucket]);
+        model = await uploadModel(app, uploader, bucket, 'house.rvt', 'content');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('lists the views of a model', async () => {
+        const { status, body } = await request(app, 'GET', `/api/models/${model.urn}/metadata`, { token });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.length, 1);
+        assert.strictEqual(body[0].role, '3d');
+        guid = body[0].guid;
+    });
+
+    it('reads the object tree of the 3D view by default, down to a level', async () => {
+        const { status, body } = await request(app, 'GET', `/api/models/${model.urn}/tree?level=2`, { token });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.guid, guid);
+        assert.deepStrictEqual(body.objects[0].objects.map(object => [object.name, object.objects]), [['Walls', undefined], ['Doors', undefined]]);
+    });
+
+    it('reads the subtree of an object', async () => {
+        const { body } = await request(app, 'GET', `/api/models/${model.urn}/tree?guid=${guid}&objectId=2`, { token });
+        assert.deepStrictEqual(body.objects.map(object => object.name), ['Walls']);
+        assert.strictEqual(body.objects[0].objects.length, 2);
+    });
+
+    it('filters and pages the properties', async () => {
+        const selected = await request(app, 'GET', `/api/models/${model.urn}/properties?objectIds=3,6&fields=objectid,properties.Dimensions.*`, { token });
+        assert.deepStrictEqual(selected.body.collection, [
+            { objectid: 3, properties: { Dimensions: { Length: '3000 mm', Height: '3000 mm' } } },
+            { objectid: 6, properties: { Dimensions: { Length: '6000 mm', Height: '3000 mm' } } }
+        ]);
+        const named = await request(app, 'GET', `/api/models/${model.urn}/properties?name=Basic%20Wall&fields=objectid`, { token });
+        assert.deepStrictEqual(named.body.collection, [{ objectid: 3 }, { objectid: 4 }]);
+        const page = await request(app, 'GET', `/api/models/${model.urn}/properties?offset=2&limit=2&fields=objectid`, { token });
+        assert.deepStrictEqual(page.body.collection, [{ objectid: 3 }, { objectid: 4 }]);
+        assert.deepStrictEqual(page.body.pagination, { offset: 2, limit: 2, totalResults: 6 });
+    });
+
+    it('answers 404 for models that did not translate', async () => {
+        const failed = await uploadModel(app, uploader, bucket, 'fail.rvt', 'content');
+        for (const route of ['metadata', 'tree', 'properties']) {
+            const { status, body } = await request(app, 'GET', `/api/models/${failed.urn}/${route}`, { token });
+            assert.strictEqual(status, 404, route);
+            assert.strictEqual(body.error.message, 'Model has not been translated.', route);
+        }
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, login, createProject, uploadModel, request } = require('./helpers.js');
+
+describe('local APS stand-in', () => {
+    let app, token, model;
+
+    before(async () => {
+        app = await startApp();
+        const bucket = await createProject(app, 'stand-in');
+        token = await login(app, 'uploader', 'uploader', [bucket]);
+        model = await uploadModel(app, token, bucket, 'house.rvt', 'content');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('only serves objects with a valid signature that has not expired', async () => {
+        const { body } = await request(app, 'GET', `/api/models/${model.urn}/source`, { token });
+        const url = new URL(body.url);
+        assert.strictEqual((await fetch(url)).status, 200);
+        for (const [param, value] of [['signature', 'forged'], ['expires', String(Date.now() + 60 * 60 * 1000)]]) {
+            const tampered = new URL(url);
+            tampered.searchParams.set(param, value);
+            assert.strictEqual((await fetch(tampered)).status, 403, param);
+        }
+        const unsigned = new URL(url);
+        unsigned.search = '';
+        assert.strictEqual((await fetch(unsigned)).status, 403);
+    });
+
+    it('refuses bucket keys OSS would not accept', async () => {
+        const aps = require('../services/aps.js');
+        const { getUpstreamStatus } = require('../services/errors.js');
+        for (const bucketKey of ['../outside', 'UPPER', 'ab', 'a/b']) {
+            await assert.rejects(aps.createBucket(bucketKey), err => getUpstreamStatus(err) === 400, bucketKey);
+            await assert.rejects(aps.listObjects(bucketKey), err => getUpstreamStatus(err) === 400, bucketKey);
+        }
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login, createProject, uploadModel } = require('./helpers.js');
+
+// The token of a share link, from its URL (".../#share=<token>")
+function linkToken(share) {
+    return new URL(share.url).hash.replace('#share=', '');
+}
+
+describe('share links', () => {
+    let app, token, model;
+
+    before(async () => {
+        app = await startApp();
+        const bucket = await createProject(app, 'shares');
+        token = await login(app, 'uploader', 'uploader', [bucket]);
+        model = await uploadModel(app, token, bucket, 'house.rvt', 'content');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    async function createShare() {
+        const { status, body } = await request(app, 'POST', '/api/share', { token, body: { urn: model.urn, expiresIn: 1 } });
+        assert.strictEqual(status, 200);
+        return body;
+    }
+
+    it('opens the shared model without a login', async () => {
+        const share = await createShare();
+        const link = await request(app, 'GET', `/api/share/link?token=${linkToken(share)}`);
+        assert.strictEqual(link.status, 200);
+        assert.strictEqual(link.body.urn, model.urn);
+        assert.strictEqual((await request(app, 'GET', `/api/auth/token?share=${linkToken(share)}`)).status, 200);
+    });
+
+    it('stops working once revoked', async () => {
+        const share = await createShare();
+        assert.strictEqual((await request(app, 'DELETE', `/api/share/${share.id}`, { token })).status, 204);
+        assert.strictEqual((await request(app, 'GET', `/api/share/link?token=${linkToken(share)}`)).status, 404);
+        assert.strictEqual((await request(app, 'GET', `/api/auth/token?share=${linkToken(share)}`)).status, 401);
+    });
+
+    it('stops working once expired', async () => {
+        const store = require('../services/store.js');
+        const share = await createShare();
+        await store.put('shares', share.id, { ...await store.get('shares', share.id), expiresAt: Date.now() - 1000 });
+        assert.strictEqual((await request(app, 'GET', `/api/share/link?token=${linkToken(share)}`)).status, 404);
+        assert.strictEqual((await request(app, 'GET', `/api/auth/token?share=${linkToken(share)}`)).status, 401);
+        const { body } = await request(app, 'GET', `/api/share?urn=${model.urn}`, { token });
+        assert.ok(!body.some(other => other.id === share.id));
+    });
+
+    it('is only revoked by its creator or an admin', async () => {
+        const share = await createShare();
+        const other = await login(app, 'other', 'uploader', []);
+        assert.strictEqual((await request(app, 'DELETE', `/api/share/${share.id}`, { token: other })).status, 404);
+        assert.strictEqual((await request(app, 'GET', `/api/share/link?token=${linkToken(share)}`)).status, 200);
+    });
+});
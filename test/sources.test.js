@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login, createProject, uploadModel } = require('./helpers.js');
+
+function sha1(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+describe('source files and duplicates', () => {
+    let app, bucket, token, model;
+
+    before(async () => {
+        app = await startApp();
+        bucket = await createProject(app, 'sources');
+        token = await login(app, 'uploader', 'uploader', [bucket]);
+        model = await uploadModel(app, token, bucket, 'house.rvt', 'first');
+        model = await uploadModel(app, token, bucket, 'house.rvt', 'second');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('hands out a short-lived download URL of the uploaded file', async () => {
+        const { status, body } = await request(app, 'GET', `/api/models/${model.urn}/source`, { token });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.name, 'house.rvt');
+        assert.ok(body.expiration > Date.now());
+        const resp = await fetch(body.url);
+        assert.strictEqual(resp.status, 200);
+        assert.strictEqual(resp.headers.get('content-disposition'), 'attachment; filename="house.rvt"');
+        assert.strictEqual(await resp.text(), 'second');
+    });
+
+    it('only lets uploaders download source files', async () => {
+        const viewer = await login(app, 'viewer', 'viewer', [bucket]);
+        assert.strictEqual((await request(app, 'GET', `/api/models/${model.urn}/source`, { token: viewer })).status, 403);
+    });
+
+    it('names the version already holding a file instead of uploading it again', async () => {
+        const { status, body } = await request(app, 'POST', '/api/models/uploads', { token, body: { bucket, name: 'copy.rvt', sha1: sha1('first') } });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.urls, undefined);
+        assert.deepStrictEqual({ ...body.duplicate, urn: undefined }, { name: 'house.rvt', urn: undefined, version: 1, current: false, status: 'success' });
+        const allowed = await request(app, 'POST', '/api/models/uploads', { token, body: { bucket, name: 'copy.rvt', sha1: sha1('first'), allowDuplicate: true } });
+        assert.strictEqual(allowed.body.duplicate, undefined);
+        assert.strictEqual(allowed.body.urls.length, 1);
+    });
+
+    it('hashes files uploaded through the server', async () => {
+        const form = new FormData();
+        form.append('bucket', bucket);
+        form.append('model-file', new Blob(['second']), 'other.rvt');
+        const resp = await fetch(`${app.url}/api/models`, { method: 'POST', headers: { 'Authorization': `Bearer ${token}` }, body: form });
+        const body = await resp.json();
+        assert.strictEqual(body.duplicate.urn, model.urn);
+        assert.strictEqual(body.duplicate.current, true);
+    });
+
+    it('refuses hashes that are not SHA-1', async () => {
+        const { status } = await request(app, 'POST', '/api/models/uploads', { token, body: { bucket, name: 'copy.rvt', sha1: 'abc' } });
+        assert.strictEqual(status, 400);
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login, createProject, uploadModel } = require('./helpers.js');
+
+describe('translation profiles', () => {
+    let app, token, model;
+
+    before(async () => {
+        app = await startApp();
+        const bucket = await createProject(app, 'translation');
+        token = await login(app, 'uploader', 'uploader', [bucket]);
+        model = await uploadModel(app, token, bucket, 'house.rvt', 'content');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    function translate(body) {
+        return request(app, 'POST', `/api/models/${model.urn}/translate`, { token, body });
+    }
+
+    it('lists the named profiles', async () => {
+        const { status, body } = await request(app, 'GET', '/api/models/translation-profiles', { token });
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.find(profile => profile.name === 'default'), { name: 'default', description: 'SVF2 with 2D and 3D views', type: 'svf2', views: ['2d', '3d'] });
+    });
+
+    it('translates with a profile, overridden by the options given', async () => {
+        assert.strictEqual((await translate({ profile: 'default', type: 'svf', views: ['3d'] })).status, 200);
+        const { body } = await request(app, 'GET', `/api/models/${model.urn}/status`, { token });
+        assert.strictEqual(body.status, 'success');
+        assert.deepStrictEqual(body.derivatives.map(derivative => derivative.type), ['svf']);
+    });
+
+    it('deletes the old derivatives first when forced', async () => {
+        assert.strictEqual((await request(app, 'POST', `/api/models/${model.urn}/exports`, { token, body: { type: 'ifc' } })).status, 200);
+        assert.strictEqual((await request(app, 'GET', `/api/models/${model.urn}/exports`, { token })).body.length, 1);
+        assert.strictEqual((await translate({ profile: 'default', force: true })).status, 200);
+        const { body } = await request(app, 'GET', `/api/models/${model.urn}/exports`, { token });
+        assert.deepStrictEqual(body, []);
+    });
+
+    it('refuses unknown profiles and invalid options', async () => {
+        for (const options of [{ profile: 'unknown' }, { type: 'obj' }, { views: ['4d'] }, { views: [] }, { advanced: '{not json' }, { advanced: 42 }]) {
+            const { status, body } = await translate(options);
+            assert.strictEqual(status, 400, JSON.stringify(options));
+            assert.strictEqual(body.error.code, 'bad_request', JSON.stringify(options));
+        }
+    });
+
+    it('only translates in the region of the project', async () => {
+        const { status, body } = await translate({ region: 'EMEA' });
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.error.message, 'Models of this project are translated in its region (US).');
+        assert.strictEqual((await translate({ region: 'US' })).status, 200);
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request, login, createProject, startUpload, completeUpload, uploadModel } = require('./helpers.js');
+
+describe('uploads', () => {
+    let app, token, bucket;
+
+    before(async () => {
+        app = await startApp();
+        bucket = await createProject(app, 'uploads');
+        token = await login(app, 'uploader', 'uploader', [bucket]);
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('uploads a file with the name of an existing model as its next version', async () => {
+        const first = await uploadModel(app, token, bucket, 'house.rvt', 'first');
+        const second = await uploadModel(app, token, bucket, 'house.rvt', 'second');
+        assert.strictEqual(first.version, 1);
+        assert.strictEqual(second.version, 2);
+        const { body } = await request(app, 'GET', `/api/models/${second.urn}/versions`, { token });
+        assert.deepStrictEqual(body.versions.map(v => v.version), [2, 1]);
+    });
+
+    it('gives uploads of the same name in progress a version each', async () => {
+        const uploads = await Promise.all(['a', 'b', 'c'].map(content => startUpload(app, token, bucket, 'bridge.rvt', content)));
+        const objectKeys = uploads.map(({ upload }) => upload.objectKey).sort();
+        assert.deepStrictEqual(objectKeys, ['bridge.rvt/v1/bridge.rvt', 'bridge.rvt/v2/bridge.rvt', 'bridge.rvt/v3/bridge.rvt']);
+        for (const { upload } of uploads) {
+            assert.strictEqual((await completeUpload(app, token, upload)).status, 200);
+        }
+    });
+
+    it('refuses to complete an upload onto a version uploaded meanwhile', async () => {
+        const store = require('../services/store.js');
+        const { upload: first } = await startUpload(app, token, bucket, 'tower.rvt', 'first');
+        // As if the reservation of the first upload was lost to a concurrent write of the versions record
+        await store.delete('versions', `${bucket}/tower.rvt`);
+        const { upload: second } = await startUpload(app, token, bucket, 'tower.rvt', 'second');
+        assert.strictEqual(second.objectKey, first.objectKey);
+        assert.strictEqual((await completeUpload(app, token, second)).status, 200);
+        const { status, body } = await completeUpload(app, token, first);
+        assert.strictEqual(status, 409);
+        assert.strictEqual(body.error.code, 'conflict');
+    });
+
+    it('only resumes uploads with both their upload and object key', async () => {
+        const { status } = await request(app, 'POST', '/api/models/uploads', { token, body: { bucket, name: 'house.rvt', objectKey: 'house.rvt/v1/house.rvt' } });
+        assert.strictEqual(status, 400);
+    });
+
+    it('refuses uploads from viewers', async () => {
+        const viewer = await login(app, 'viewer', 'viewer', [bucket]);
+        const { status, body } = await startUpload(app, viewer, bucket, 'house.rvt', 'content');
+        assert.strictEqual(status, 403);
+        assert.strictEqual(body.error.code, 'forbidden');
+    });
+});
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { WEBHOOK_SECRET, startApp, request, login, createProject, uploadModel } = require('./helpers.js');
+
+function sign(body) {
+    return 'sha1hash=' + crypto.createHmac('sha1', WEBHOOK_SECRET).update(JSON.stringify(body)).digest('hex');
+}
+
+// Sends a translation event with the local stand-in for the Model Derivative webhooks
+async function fakeWebhook(app, urn, event) {
+    const { stdout } = await promisify(execFile)(process.execPath, ['scripts/fake-webhook.js', urn, event, app.url], { env: process.env });
+    return parseInt(stdout);
+}
+
+describe('translation webhooks', () => {
+    let app, token, model;
+
+    before(async () => {
+        app = await startApp();
+        const bucket = await createProject(app, 'webhooks');
+        token = await login(app, 'uploader', 'uploader', [bucket]);
+        model = await uploadModel(app, token, bucket, 'house.rvt', 'content');
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    function callback(event) {
+        return { hook: { event }, payload: { URN: model.urn } };
+    }
+
+    it('refuses calls without a signature', async () => {
+        const { status, body } = await request(app, 'POST', '/api/webhooks/derivative', { body: callback('extraction.finished') });
+        assert.strictEqual(status, 401);
+        assert.strictEqual(body.error.code, 'unauthorized');
+    });
+
+    it('refuses calls signed with another secret', async () => {
+        const body = callback('extraction.finished');
+        const signature = 'sha1hash=' + crypto.createHmac('sha1', 'another-secret').update(JSON.stringify(body)).digest('hex');
+        const { status } = await request(app, 'POST', '/api/webhooks/derivative', { body, headers: { 'x-adsk-signature': signature } });
+        assert.strictEqual(status, 401);
+    });
+
+    it('refuses calls whose body does not match the signature', async () => {
+        const signature = sign(callback('extraction.updated'));
+        const { status } = await request(app, 'POST', '/api/webhooks/derivative', { body: callback('extraction.finished'), headers: { 'x-adsk-signature': signature } });
+        assert.strictEqual(status, 401);
+    });
+
+    it('records the translation status of the calls of the fake webhook stand-in', async () => {
+        const store = require('../services/store.js');
+        await store.delete('status', model.urn);
+        assert.strictEqual(await fakeWebhook(app, model.urn, 'extraction.finished'), 204);
+        assert.strictEqual((await store.get('status', model.urn)).status, 'success');
+    });
+
+    it('serves the status from the store, waiting for changes on request', async () => {
+        const first = await request(app, 'GET', `/api/models/${model.urn}/status`, { token });
+        assert.strictEqual(first.body.status, 'success');
+        const started = Date.now();
+        const { body } = await request(app, 'GET', `/api/models/${model.urn}/status?wait=5&since=${first.body.updatedAt}`, { token });
+        assert.strictEqual(body.updatedAt, first.body.updatedAt);
+        assert.ok(Date.now() - started < 5000, 'finished jobs are not waited for');
+    });
+});
@@ -0,0 +1,36 @@
+import { escapeHtml, formatSize } from './format.js';
+
+// Asks which design file of an uploaded ZIP archive to translate, out of the candidates the server found in it
+// (see GET api/models/:urn/archive), with the best one preselected. Resolves with the chosen file name,
+// or with `null` when the dialog is cancelled or the archive holds no design files.
+export function chooseRootFile(name, archive) {
+    const dialog = document.getElementById('root-file');
+    const form = dialog.querySelector('form');
+    const intro = dialog.querySelector('.root-file-intro');
+    const list = dialog.querySelector('.root-file-list');
+    if (archive.candidates.length === 0) {
+        intro.textContent = `The archive ${name} contains no design files that can be translated.`;
+    } else if (archive.composite) {
+        intro.textContent = `Choose the main design file of ${name}. The other design files in the archive are loaded as its links, parts or references.`;
+    } else {
+        intro.textContent = `Choose the design file of ${name} to translate.`;
+    }
+    list.innerHTML = archive.candidates.map((file, i) => `
+        <li>
+            <label>
+                <input type="radio" name="rootFilename" value="${escapeHtml(file.name)}" ${i === 0 ? 'checked' : ''}>
+                <span class="root-file-name">${escapeHtml(file.name)}</span>
+                <span class="root-file-info">${escapeHtml(file.type)} &middot; ${formatSize(file.size)}</span>
+            </label>
+        </li>
+    `).join('');
+    form.querySelector('button[value="translate"]').disabled = archive.candidates.length === 0;
+    return new Promise(resolve => {
+        dialog.onclose = () => {
+            const choice = form.querySelector('input[name="rootFilename"]:checked');
+            resolve(dialog.returnValue === 'translate' && choice ? choice.value : null);
+        };
+        dialog.returnValue = '';
+        dialog.showModal();
+    });
+}
@@ -0,0 +1,31 @@
+import { escapeHtml } from './format.js';
+
+// Model Derivative messages carry a `message` that is either a string or a list of strings
+function renderMessage(msg) {
+    const text = Array.isArray(msg.message) ? msg.message.join(' ') : msg.message || JSON.stringify(msg);
+    return `<li class="diagnostics-message diagnostics-${escapeHtml(msg.type || 'info')}">
+        <span class="diagnostics-code">${escapeHtml(msg.code || msg.type || '')}</span> ${escapeHtml(text)}
+    </li>`;
+}
+
+function renderNode(node) {
+    const title = [node.type, node.role, node.name].filter(part => part).map(escapeHtml).join(' &middot; ');
+    const failed = node.status === 'failed' || node.status === 'timeout' || node.messages.some(msg => msg.type === 'error');
+    return `<details class="diagnostics-node" ${failed ? 'open' : ''}>
+        <summary>${title} <span class="diagnostics-status status-${escapeHtml(node.status || 'n/a').replace('/', '')}">${escapeHtml(node.status || '')}</span></summary>
+        ${node.messages.length > 0 ? `<ul>${node.messages.map(renderMessage).join('')}</ul>` : ''}
+        ${node.children.map(renderNode).join('')}
+    </details>`;
+}
+
+// The failure panel for a translation: every derivative with its views and their messages,
+// where the parts that failed or reported errors are expanded
+export function renderDiagnostics(status) {
+    const derivatives = status.derivatives || [];
+    return `<div class="diagnostics">
+        <h3>Translation ${escapeHtml(status.status)}</h3>
+        ${derivatives.length > 0
+            ? derivatives.map(renderNode).join('')
+            : `<ul>${(status.messages || []).map(renderMessage).join('') || '<li>No details were reported.</li>'}</ul>`}
+    </div>`;
+}
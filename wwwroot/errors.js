@@ -0,0 +1,14 @@
+// Turns a failed API response into an Error. When the server sent a structured error
+// ({ error: { code, message, retryable, upstreamStatus } }), its details are kept on the Error.
+export async function responseError(resp) {
+    const text = await resp.text();
+    try {
+        const { error } = JSON.parse(text);
+        if (error && error.message) {
+            return Object.assign(new Error(error.message), error, { status: resp.status });
+        }
+    } catch (err) {
+        // not JSON, e.g. a plain text validation message
+    }
+    return Object.assign(new Error(text || `Request failed with status ${resp.status}.`), { status: resp.status });
+}
@@ -2,9 +2,19 @@ export class BaseExtension extends Autodesk.Viewing.Extension {
     constructor(viewer, options) {
         super(viewer, options);
         this._onObjectTreeCreated = (ev) => this.onModelLoaded(ev.model);
+        // A hidden model shown again comes back without a new object tree, see `onModelLoaded`
+        this._onModelAdded = (ev) => {
+            if (ev.model.isObjectTreeCreated()) {
+                this.onModelLoaded(ev.model);
+            }
+        };
         this._onSelectionChanged = (ev) => this.onSelectionChanged(ev.model, ev.dbIdArray);
         this._onIsolationChanged = (ev) => this.onIsolationChanged(ev.model, ev.nodeIdArray);
-        this.cachedDbIds = null;
+        this._onModelRemoved = (ev) => {
+            this.cachedDbIds.delete(ev.model.id);
+            this.onModelUnloaded(ev.model);
+        };
+        this.cachedDbIds = new Map(); // by model ID, as several models can be loaded together
         this.geometryNames = ['mesh', 'body'];
     }
 
@@ -12,6 +22,8 @@ export class BaseExtension extends Autodesk.Viewing.Extension {
         this.viewer.addEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, this._onObjectTreeCreated);
         this.viewer.addEventListener(Autodesk.Viewing.SELECTION_CHANGED_EVENT, this._onSelectionChanged);
         this.viewer.addEventListener(Autodesk.Viewing.ISOLATE_EVENT, this._onIsolationChanged);
+        this.viewer.addEventListener(Autodesk.Viewing.MODEL_ADDED_EVENT, this._onModelAdded);
+        this.viewer.addEventListener(Autodesk.Viewing.MODEL_REMOVED_EVENT, this._onModelRemoved);
         return true;
     }
 
@@ -19,15 +31,43 @@ export class BaseExtension extends Autodesk.Viewing.Extension {
         this.viewer.removeEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, this._onObjectTreeCreated);
         this.viewer.removeEventListener(Autodesk.Viewing.SELECTION_CHANGED_EVENT, this._onSelectionChanged);
         this.viewer.removeEventListener(Autodesk.Viewing.ISOLATE_EVENT, this._onIsolationChanged);
+        this.viewer.removeEventListener(Autodesk.Viewing.MODEL_ADDED_EVENT, this._onModelAdded);
+        this.viewer.removeEventListener(Autodesk.Viewing.MODEL_REMOVED_EVENT, this._onModelRemoved);
         return true;
     }
 
+    // Called once the object tree of a model is loaded, and again when a hidden model is shown
     onModelLoaded(model) {}
 
     onSelectionChanged(model, dbids) {}
 
-    onIsolationChanged(model, dbids) {}    
-    
+    onIsolationChanged(model, dbids) {}
+
+    // Called when a model is unloaded, and when it is hidden (the viewer removes hidden models from the scene)
+    onModelUnloaded(model) {}
+
+    // Names of the extension's open panels, kept in links to the current view (see links.js)
+    getOpenPanels() {
+        return [];
+    }
+
+    // Opens a panel named by `getOpenPanels`, if it is one of this extension's
+    openPanel(name) {}
+
+    // The models shown in the viewer, as several can be loaded together (see scene.js)
+    getModels() {
+        return this.viewer.getVisibleModels();
+    }
+
+    // The selected elements of every model with a selection: [{ model, dbids }]
+    getSelectionByModel() {
+        return this.viewer.getAggregateSelection().map(({ model, selection }) => ({ model, dbids: selection }));
+    }
+
+    // The isolated elements of every model with isolated elements: [{ model, dbids }]
+    getIsolationByModel() {
+        return this.viewer.getAggregateIsolation().filter(({ ids }) => ids.length > 0).map(({ model, ids }) => ({ model, dbids: ids }));
+    }
 
     findLeafNodes(model) {
         return new Promise(function (resolve, reject) {
@@ -139,8 +179,8 @@ export class BaseExtension extends Autodesk.Viewing.Extension {
                 // }
 
                 // Approach: Use cached results if available and caching is enabled
-                if (useCache && this.cachedDbIds) {
-                    resolve(this.cachedDbIds);
+                if (useCache && this.cachedDbIds.has(model.id)) {
+                    resolve(this.cachedDbIds.get(model.id));
                     return;
                 }
     
@@ -216,7 +256,7 @@ export class BaseExtension extends Autodesk.Viewing.Extension {
     
                 // Cache the results for future use
                 if (useCache) {
-                    this.cachedDbIds = dbIds;
+                    this.cachedDbIds.set(model.id, dbIds);
                 }
                 // console.log(dbIds);    
                 resolve(dbIds);
@@ -0,0 +1,92 @@
+import { BaseExtension } from './BaseExtension.js';
+import { ExportPanel } from './ExportPanel.js';
+
+class ExportExtension extends BaseExtension {
+    constructor(viewer, options) {
+        super(viewer, options);
+        this._button = null;
+        this._panel = null;
+    }
+
+    load() {
+        super.load();
+        console.log('ExportExtension loaded.');
+        return true;
+    }
+
+    unload() {
+        super.unload();
+        if (this._button) {
+            this.removeToolbarButton(this._button);
+            this._button = null;
+        }
+        if (this._panel) {
+            this._panel.setVisible(false);
+            this._panel.uninitialize();
+            this._panel = null;
+        }
+        console.log('ExportExtension unloaded.');
+        return true;
+    }
+
+    onToolbarCreated() {
+        this._panel = new ExportPanel(this, 'export-panel', 'Export Model', { x: 10, y: 10 });
+        this._button = this.createToolbarButton('export-button', './img/export.svg', 'Export Model to Other Formats');
+        this._button.onClick = () => {
+            this._panel.setVisible(!this._panel.isVisible());
+            this._button.setState(this._panel.isVisible() ? Autodesk.Viewing.UI.Button.State.ACTIVE : Autodesk.Viewing.UI.Button.State.INACTIVE);
+            const model = this.getExportModel();
+            if (this._panel.isVisible() && model) {
+                this._panel.setModel(model);
+            }
+        };
+    }
+
+    getOpenPanels() {
+        return this._panel && this._panel.isVisible() ? ['export'] : [];
+    }
+
+    openPanel(name) {
+        if (name === 'export' && this._panel && !this._panel.isVisible()) {
+            this._button.onClick();
+        }
+    }
+
+    onModelLoaded(model) {
+        super.onModelLoaded(model);
+        if (this._panel && this._panel.isVisible() && !this._panel.model) {
+            this._panel.setModel(model);
+        }
+    }
+
+    // With several models loaded, the panel exports the one elements were last selected in
+    onSelectionChanged(model, dbids) {
+        super.onSelectionChanged(model, dbids);
+        if (this._panel && this._panel.isVisible() && model && dbids.length > 0 && model !== this._panel.model) {
+            this._panel.setModel(model);
+        }
+    }
+
+    onModelUnloaded(model) {
+        super.onModelUnloaded(model);
+        if (this._panel && this._panel.model === model) {
+            const other = this.getExportModel();
+            if (other) {
+                this._panel.setModel(other);
+            } else {
+                this._panel.model = this._panel.urn = null;
+            }
+        }
+    }
+
+    // The model of the current selection, or else the primary model
+    getExportModel() {
+        const selection = this.getSelectionByModel();
+        if (selection.length > 0) {
+            return selection[0].model;
+        }
+        return this.getModels().find(model => model === this.viewer.model) || this.getModels()[0];
+    }
+}
+
+Autodesk.Viewing.theExtensionManager.registerExtension('ExportExtension', ExportExtension);
@@ -0,0 +1,124 @@
+import { responseError } from '../errors.js';
+
+const EXPORT_TYPES = ['obj', 'ifc', 'stl', 'dwg', 'step', 'iges'];
+const REFRESH_INTERVAL = 5000;
+
+export class ExportPanel extends Autodesk.Viewing.UI.DockingPanel {
+    constructor(extension, id, title, options) {
+        super(extension.viewer.container, id, title, options);
+        this.extension = extension;
+        this.container.style.left = (options.x || 0) + 'px';
+        this.container.style.top = (options.y || 0) + 'px';
+        this.container.style.width = (options.width || 400) + 'px';
+        this.container.style.height = (options.height || 300) + 'px';
+        this.container.style.resize = 'none';
+        this.model = null;
+        this.urn = null;
+        this.refreshTimeout = null;
+    }
+
+    initialize() {
+        this.title = this.createTitleBar(this.titleLabel || this.container.id);
+        this.initializeMoveHandlers(this.title);
+        this.container.appendChild(this.title);
+        this.content = document.createElement('div');
+        this.content.style.height = '250px';
+        this.content.style.overflowY = 'auto';
+        this.content.style.padding = '0.5em';
+        this.content.style.backgroundColor = 'white';
+        this.content.innerHTML = `
+            <div class="export-form" style="display: flex; gap: 0.5em; align-items: center;">
+                <select class="export-type">${EXPORT_TYPES.map(type => `<option value="${type}">${type.toUpperCase()}</option>`).join('')}</select>
+                <label><input type="checkbox" class="export-selection"> Selected objects only</label>
+                <button class="export-start">Export</button>
+            </div>
+            <ul class="export-jobs" style="padding-left: 1.5em;"></ul>
+        `;
+        this.typeSelect = this.content.querySelector('select.export-type');
+        this.selectionCheckbox = this.content.querySelector('input.export-selection');
+        this.startButton = this.content.querySelector('button.export-start');
+        this.jobList = this.content.querySelector('ul.export-jobs');
+        this.typeSelect.onchange = () => this.selectionCheckbox.disabled = this.typeSelect.value !== 'obj'; // only OBJ exports can be limited to some objects
+        this.selectionCheckbox.disabled = this.typeSelect.value !== 'obj';
+        this.startButton.onclick = () => this.startExport();
+        this.container.appendChild(this.content);
+    }
+
+    setVisible(show) {
+        super.setVisible(show);
+        if (!show) {
+            clearTimeout(this.refreshTimeout);
+        }
+    }
+
+    setModel(model) {
+        this.model = model;
+        // The root of the loaded document carries the URN of the source object
+        this.urn = model.getDocumentNode().getRootNode().urn().replace(/^urn:/, '');
+        this.refresh();
+    }
+
+    async startExport() {
+        if (!this.urn) {
+            return;
+        }
+        const type = this.typeSelect.value;
+        let body = { type };
+        if (type === 'obj' && this.selectionCheckbox.checked) {
+            const selection = this.extension.getSelectionByModel().find(entry => entry.model === this.model);
+            body.objectIds = selection ? selection.dbids : [];
+            if (body.objectIds.length === 0) {
+                alert('Please select the objects to export first.');
+                return;
+            }
+        }
+        this.startButton.disabled = true;
+        try {
+            const resp = await fetch(`api/models/${this.urn}/exports`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (!resp.ok) {
+                throw await responseError(resp);
+            }
+            this.refresh();
+        } catch (err) {
+            alert(`Could not start the ${type.toUpperCase()} export. See the console for more details.`);
+            console.error(err);
+        } finally {
+            this.startButton.disabled = false;
+        }
+    }
+
+    async refresh() {
+        clearTimeout(this.refreshTimeout);
+        const urn = this.urn;
+        try {
+            const resp = await fetch(`api/models/${urn}/exports`);
+            if (!resp.ok) {
+                throw await responseError(resp);
+            }
+            const exports = await resp.json();
+            if (urn !== this.urn) {
+                return; // another model has been loaded in the meantime
+            }
+            this.jobList.innerHTML = exports.length === 0 ? '<li>No exports yet.</li>' : exports.map(job => {
+                switch (job.status) {
+                    case 'success':
+                        return `<li>${job.type.toUpperCase()}: ${job.files.map(file => `<a href="api/models/${urn}/exports/download?derivative=${encodeURIComponent(file.derivative)}">${file.name}</a>`).join(', ')}</li>`;
+                    case 'failed':
+                    case 'timeout':
+                        return `<li>${job.type.toUpperCase()}: export failed. ${job.messages.map(msg => [].concat(msg.message).join(' ')).join(' ')}</li>`;
+                    default:
+                        return `<li>${job.type.toUpperCase()}: in progress (${job.progress})...</li>`;
+                }
+            }).join('');
+            if (this.isVisible() && exports.some(job => !['success', 'failed', 'timeout'].includes(job.status))) {
+                this.refreshTimeout = setTimeout(() => this.refresh(), REFRESH_INTERVAL);
+            }
+        } catch (err) {
+            console.error('Could not list the exports of the model.', err);
+        }
+    }
+}
@@ -42,50 +42,82 @@ class HistogramExtension extends BaseExtension {
         this._barChartButton.onClick = () => {
             this._barChartPanel.setVisible(!this._barChartPanel.isVisible());
             this._barChartButton.setState(this._barChartPanel.isVisible() ? Autodesk.Viewing.UI.Button.State.ACTIVE : Autodesk.Viewing.UI.Button.State.INACTIVE);
-            if (this._barChartPanel.isVisible() && this.viewer.model) {
-                this._barChartPanel.setModel(this.viewer.model);
+            if (this._barChartPanel.isVisible() && this.getModels().length > 0) {
+                this._barChartPanel.setModels(this.getModels());
             }
         };
         this._pieChartButton = this.createToolbarButton('dashboard-piechart-button', './img/pie-chart.png', 'Show Property Histogram (Pie Chart)');
         this._pieChartButton.onClick = () => {
             this._pieChartPanel.setVisible(!this._pieChartPanel.isVisible());
             this._pieChartButton.setState(this._pieChartPanel.isVisible() ? Autodesk.Viewing.UI.Button.State.ACTIVE : Autodesk.Viewing.UI.Button.State.INACTIVE);
-            if (this._pieChartPanel.isVisible() && this.viewer.model) {
-                this._pieChartPanel.setModel(this.viewer.model);
+            if (this._pieChartPanel.isVisible() && this.getModels().length > 0) {
+                this._pieChartPanel.setModels(this.getModels());
             }
         };
     }
 
-    onModelLoaded(model) {
-        super.onModelLoaded(model);
+    getOpenPanels() {
+        let names = [];
         if (this._barChartPanel && this._barChartPanel.isVisible()) {
-            this._barChartPanel.setModel(model);
+            names.push('histogram-bar');
         }
         if (this._pieChartPanel && this._pieChartPanel.isVisible()) {
-            this._pieChartPanel.setModel(model);
+            names.push('histogram-pie');
+        }
+        return names;
+    }
+
+    openPanel(name) {
+        if (name === 'histogram-bar' && this._barChartPanel && !this._barChartPanel.isVisible()) {
+            this._barChartButton.onClick();
+        } else if (name === 'histogram-pie' && this._pieChartPanel && !this._pieChartPanel.isVisible()) {
+            this._pieChartButton.onClick();
         }
     }
 
-    async findPropertyValueOccurrences(model, propertyName) {
-        const dbids = await this.findActualLeafNodes(model);
-        // console.log(dbids);
-        return new Promise(function (resolve, reject) {
-            model.getBulkProperties(dbids, { propFilter: [propertyName] }, function (results) {
-                let histogram = new Map();
-                for (const result of results) {
-                    if (result.properties.length > 0) {
-                        const key = result.properties[0].displayValue;
-                        if (histogram.has(key)) {
-                            histogram.get(key).push(result.dbId);
-                        } else {
-                            histogram.set(key, [result.dbId]);
-                        }
+    onModelLoaded(model) {
+        super.onModelLoaded(model);
+        this.updatePanels();
+    }
+
+    onModelUnloaded(model) {
+        super.onModelUnloaded(model);
+        this.updatePanels();
+    }
+
+    // The charts cover all loaded models
+    updatePanels() {
+        for (const panel of [this._barChartPanel, this._pieChartPanel]) {
+            if (panel && panel.isVisible()) {
+                panel.setModels(this.getModels());
+            }
+        }
+    }
+
+    // The elements of the models by their value of the property: Map(<value> => [{ model, dbids }])
+    async findPropertyValueOccurrences(models, propertyName) {
+        let histogram = new Map();
+        for (const model of models) {
+            const dbids = await this.findActualLeafNodes(model);
+            const results = await new Promise(function (resolve, reject) {
+                model.getBulkProperties(dbids, { propFilter: [propertyName] }, resolve, reject);
+            });
+            for (const result of results) {
+                if (result.properties.length > 0) {
+                    const key = result.properties[0].displayValue;
+                    if (!histogram.has(key)) {
+                        histogram.set(key, []);
+                    }
+                    let occurrences = histogram.get(key).find(entry => entry.model === model);
+                    if (!occurrences) {
+                        occurrences = { model, dbids: [] };
+                        histogram.get(key).push(occurrences);
                     }
+                    occurrences.dbids.push(result.dbId);
                 }
-                // console.log(results);
-                resolve(histogram);
-            }, reject);
-        });
+            }
+        }
+        return histogram;
     }
 }
 
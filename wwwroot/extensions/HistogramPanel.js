@@ -42,21 +42,28 @@ export class HistogramPanel extends Autodesk.Viewing.UI.DockingPanel {
         });
     }
 
-    async setModel(model) {
-        const propertyNames = await this.extension.findPropertyNames(model);
-        this.select.innerHTML = propertyNames.map(prop => `<option value="${prop}">${prop}</option>`).join('\n');
-        this.select.onchange = () => this.updateChart(model, this.select.value);
-        this.updateChart(model, this.select.value);
+    // Charts the properties of all the given models together
+    async setModels(models) {
+        let propertyNames = new Set();
+        for (const model of models) {
+            for (const prop of await this.extension.findPropertyNames(model)) {
+                propertyNames.add(prop);
+            }
+        }
+        const selected = this.select.value;
+        this.select.innerHTML = Array.from(propertyNames, prop => `<option value="${prop}" ${prop === selected ? 'selected' : ''}>${prop}</option>`).join('\n');
+        this.select.onchange = () => this.updateChart(models, this.select.value);
+        this.updateChart(models, this.select.value);
     }
 
-    async updateChart(model, propName) {
-        const histogram = await this.extension.findPropertyValueOccurrences(model, propName);
+    async updateChart(models, propName) {
+        const histogram = await this.extension.findPropertyValueOccurrences(models, propName);
         const propertyValues = Array.from(histogram.keys());
         propertyValues.sort();
         this.chart.data.labels = propertyValues;
         const dataset = this.chart.data.datasets[0];
         dataset.label = propName;
-        dataset.data = propertyValues.map(val => histogram.get(val).length);
+        dataset.data = propertyValues.map(val => histogram.get(val).reduce((count, { dbids }) => count + dbids.length, 0));
         if (dataset.data.length > 0) {
             const hslaColors = dataset.data.map((val, index) => `hsla(${Math.round(index * (360 / dataset.data.length))}, 100%, 50%, 0.2)`);
             dataset.backgroundColor = dataset.borderColor = hslaColors;
@@ -65,8 +72,9 @@ export class HistogramPanel extends Autodesk.Viewing.UI.DockingPanel {
         this.chart.config.options.onClick = (ev, items) => {
             if (items.length === 1) {
                 const index = items[0].index;
-                const dbids = histogram.get(propertyValues[index]);
-                this.extension.viewer.isolate(dbids);
+                // Models without elements of the value are hidden
+                const isolation = histogram.get(propertyValues[index]).map(({ model, dbids }) => ({ model, ids: dbids }));
+                this.extension.viewer.setAggregateIsolation(isolation, true);
                 // this.extension.viewer.fitToView(dbids);
             }
         };
@@ -15,7 +15,7 @@ class LoggerExtension extends BaseExtension {
 
     async onModelLoaded(model) {
         super.onModelLoaded(model);
-        const props = await this.findPropertyNames(this.viewer.model);
+        const props = await this.findPropertyNames(model);
         console.log('New model has been loaded. Its objects contain the following properties:', props);
     }
 
@@ -46,6 +46,16 @@ class SummaryExtension extends BaseExtension {
         };
     }
 
+    getOpenPanels() {
+        return this._panel && this._panel.isVisible() ? ['summary'] : [];
+    }
+
+    openPanel(name) {
+        if (name === 'summary' && this._panel && !this._panel.isVisible()) {
+            this._button.onClick();
+        }
+    }
+
     onModelLoaded(model) {
         super.onModelLoaded(model);
         this.update();
@@ -61,17 +71,23 @@ class SummaryExtension extends BaseExtension {
         this.update();
     }
 
+    onModelUnloaded(model) {
+        super.onModelUnloaded(model);
+        this.update();
+    }
+
+    // The aggregates cover all loaded models
     async update() {
         if (this._panel) {
-            const selectedIds = this.viewer.getSelection();
-            const isolatedIds = this.viewer.getIsolatedNodes();
-            if (selectedIds.length > 0) { // If any nodes are selected, compute the aggregates for them
-                this._panel.update(this.viewer.model, selectedIds, SUMMARY_PROPS);
-            } else if (isolatedIds.length > 0) { // Or, if any nodes are isolated, compute the aggregates for those
-                this._panel.update(this.viewer.model, isolatedIds, SUMMARY_PROPS);
+            const selection = this.getSelectionByModel();
+            const isolation = this.getIsolationByModel();
+            if (selection.length > 0) { // If any nodes are selected, compute the aggregates for them
+                this._panel.update(selection, SUMMARY_PROPS);
+            } else if (isolation.length > 0) { // Or, if any nodes are isolated, compute the aggregates for those
+                this._panel.update(isolation, SUMMARY_PROPS);
             } else { // Otherwise compute the aggregates for all nodes
-                const dbids = await this.findLeafNodes(this.viewer.model);
-                this._panel.update(this.viewer.model, dbids, SUMMARY_PROPS);
+                const all = await Promise.all(this.getModels().map(async (model) => ({ model, dbids: await this.findLeafNodes(model) })));
+                this._panel.update(all, SUMMARY_PROPS);
             }
         }
     }
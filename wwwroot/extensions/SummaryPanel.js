@@ -4,7 +4,8 @@ export class SummaryPanel extends Autodesk.Viewing.UI.PropertyPanel {
         this.extension = extension;
     }
 
-    async update(model, dbids, propNames) {
+    // Aggregates over the elements of one or more models: `targets` is [{ model, dbids }]
+    async update(targets, propNames) {
         this.removeAllProperties();
         for (const propName of propNames) {
             const initialValue = { sum: 0, count: 0, min: Infinity, max: -Infinity };
@@ -18,7 +19,11 @@ export class SummaryPanel extends Autodesk.Viewing.UI.PropertyPanel {
                     precision: property.precision
                 };
             };
-            const { sum, count, min, max, units, precision } = await this.aggregatePropertyValues(model, dbids, propName, aggregateFunc, initialValue);
+            let aggregate = initialValue;
+            for (const { model, dbids } of targets) {
+                aggregate = await this.aggregatePropertyValues(model, dbids, propName, aggregateFunc, aggregate);
+            }
+            const { sum, count, min, max, units, precision } = aggregate;
             if (count > 0) {
                 const category = propName;
                 this.addProperty('Count', count, category);
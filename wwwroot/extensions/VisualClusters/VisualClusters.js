@@ -189,10 +189,12 @@ export default class VisualClustersExtension extends BaseExtension {
 
     onModelAdded() {
         this.updateButton();
+        this.resetDropdown();
     }
 
     onModelRemoved() {
         this.updateButton();
+        this.resetDropdown();
 
         // Auto-reset: When reset all animation transforms and extension state.
         // This avoids leaking any state information when switching between views.
@@ -255,6 +257,14 @@ export default class VisualClustersExtension extends BaseExtension {
         return propertyDisplayNames; // Return the Set for use outside the function
     }
 
+    // The properties to cluster by come from all visible models, so they are listed again when models come or go
+    resetDropdown() {
+        this.dropdown.innerHTML = '';
+        if (this.dropdown.style.display !== 'none') {
+            this.prepareDropdown();
+        }
+    }
+
     prepareDropdown () {
         const models = this.viewer.getVisibleModels();
 
@@ -267,6 +277,9 @@ export default class VisualClustersExtension extends BaseExtension {
                 option.textContent = displayName;
                 this.dropdown.appendChild(option);
             });
+            if (this.chosenAttrib) {
+                this.dropdown.value = this.chosenAttrib;
+            }
         }).catch(error => {
             console.error('Error processing models:', error);
         });
@@ -289,6 +302,17 @@ export default class VisualClustersExtension extends BaseExtension {
         }
     }
 
+    // Clusters by the given property, as if it was chosen in the dropdown (e.g. for links to a view, see links.js)
+    showClusters(attribName) {
+        this.chosenAttrib = attribName;
+        if (this.dropdown.style.display === 'none') {
+            this.onStartAnimateClick();
+        } else {
+            this.dropdown.value = attribName;
+            this.onDestinationChange({ target: this.dropdown });
+        }
+    }
+
     async onDestinationChange(event) {
         this.chosenAttrib = event.target.value;
         console.log('Selected Property:', this.chosenAttrib);
@@ -0,0 +1,11 @@
+// Escapes text for use in HTML content and attribute values
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// A file size in bytes for people, e.g. "12.5 MB"
+export function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = bytes ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1) : 0;
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent > 0 ? 1 : 0)} ${units[exponent]}`;
+}
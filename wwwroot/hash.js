@@ -0,0 +1,100 @@
+const SLICE_SIZE = 4 * 1024 * 1024;
+
+// SHA-1 of a file, in hexadecimal like the `sha1` of OSS objects. Web Crypto can only hash a whole
+// buffer at once, so the file is hashed slice by slice here to keep large models out of memory.
+// `onProgress` is called with the bytes hashed so far; aborting `signal` stops hashing.
+export async function hashFile(file, onProgress, signal) {
+    const sha1 = new Sha1();
+    for (let offset = 0; offset < file.size; offset += SLICE_SIZE) {
+        if (signal) {
+            signal.throwIfAborted();
+        }
+        sha1.update(new Uint8Array(await file.slice(offset, offset + SLICE_SIZE).arrayBuffer()));
+        if (onProgress) {
+            onProgress(Math.min(offset + SLICE_SIZE, file.size));
+        }
+    }
+    return sha1.digest();
+}
+
+class Sha1 {
+    constructor() {
+        this.state = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]);
+        this.block = new Uint8Array(64);
+        this.blockLength = 0;
+        this.length = 0; // bytes hashed so far
+        this.words = new Uint32Array(80);
+    }
+
+    update(data) {
+        this.length += data.length;
+        let pos = 0;
+        if (this.blockLength > 0) {
+            const count = Math.min(64 - this.blockLength, data.length);
+            this.block.set(data.subarray(0, count), this.blockLength);
+            this.blockLength += count;
+            pos = count;
+            if (this.blockLength < 64) {
+                return;
+            }
+            this.processBlock(this.block, 0);
+            this.blockLength = 0;
+        }
+        for (; pos + 64 <= data.length; pos += 64) {
+            this.processBlock(data, pos);
+        }
+        this.block.set(data.subarray(pos), 0);
+        this.blockLength = data.length - pos;
+    }
+
+    digest() {
+        const bits = this.length * 8;
+        const padding = new Uint8Array((this.blockLength < 56 ? 56 : 120) - this.blockLength + 8);
+        padding[0] = 0x80;
+        const view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+        view.setUint32(padding.length - 4, bits >>> 0);
+        this.update(padding);
+        return Array.from(this.state, word => word.toString(16).padStart(8, '0')).join('');
+    }
+
+    processBlock(data, offset) {
+        const w = this.words;
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+        }
+        for (let i = 16; i < 80; i++) {
+            const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+            w[i] = (x << 1) | (x >>> 31);
+        }
+        let [a, b, c, d, e] = this.state;
+        for (let i = 0; i < 80; i++) {
+            let f, k;
+            if (i < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5a827999;
+            } else if (i < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ed9eba1;
+            } else if (i < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8f1bbcdc;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xca62c1d6;
+            }
+            const t = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) >>> 0;
+            e = d;
+            d = c;
+            c = (b << 30) | (b >>> 2);
+            b = a;
+            a = t;
+        }
+        this.state[0] += a;
+        this.state[1] += b;
+        this.state[2] += c;
+        this.state[3] += d;
+        this.state[4] += e;
+    }
+}
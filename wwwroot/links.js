@@ -0,0 +1,142 @@
+// Panels of the viewer's own extensions, which open when the extension is activated
+const VIEWER_PANELS = {
+    'properties': 'Autodesk.PropertiesManager',
+    'model-browser': 'Autodesk.ModelStructure',
+    'layers': 'Autodesk.LayerManager',
+    'settings': 'Autodesk.ViewerSettings'
+};
+
+// The state of the viewer for a link to the current view: the viewable, the camera and section planes, the selected,
+// isolated and hidden elements of each model (by model name), the property the VisualClusters extension clusters by,
+// and the open panels. `models` are the loaded models with their names: [{ name, model }].
+export function captureLinkView(viewer, models) {
+    let view = {
+        guid: viewer.model ? viewer.model.getDocumentNode().guid() : undefined,
+        state: viewer.getState({ viewport: true, cutplanes: true }),
+        models: {},
+        panels: []
+    };
+    const selection = viewer.getAggregateSelection();
+    const isolation = viewer.getAggregateIsolation();
+    const hidden = viewer.getAggregateHiddenNodes();
+    for (const { name, model } of models) {
+        const elements = {
+            selection: selection.find(entry => entry.model === model)?.selection,
+            isolated: isolation.find(entry => entry.model === model)?.ids,
+            hidden: hidden.find(entry => entry.model === model)?.ids
+        };
+        for (const [key, ids] of Object.entries(elements)) {
+            if (!ids || ids.length === 0) {
+                delete elements[key];
+            }
+        }
+        if (Object.keys(elements).length > 0) {
+            view.models[name] = elements;
+        }
+    }
+    const clusters = viewer.getExtension('Autodesk.VisualClusters');
+    if (clusters && clusters.layoutActive) {
+        view.clusters = clusters.chosenAttrib || '';
+    }
+    for (const [name, id] of Object.entries(VIEWER_PANELS)) {
+        const extension = viewer.getExtension(id);
+        if (extension && extension.isActive()) {
+            view.panels.push(name);
+        }
+    }
+    // The app's own extensions name their open panels, see BaseExtension
+    for (const extension of Object.values(viewer.getLoadedExtensions())) {
+        if (extension.getOpenPanels) {
+            view.panels.push(...extension.getOpenPanels());
+        }
+    }
+    return view;
+}
+
+// Restores a view saved with `captureLinkView`, once all the `models` are loaded (see `waitForGeometry`).
+// Elements of models that are no longer loaded are skipped.
+export function applyLinkView(viewer, view, models) {
+    const byName = new Map(models.map(({ name, model }) => [name, model]));
+    let selection = [];
+    let isolation = [];
+    for (const [name, elements] of Object.entries(view.models || {})) {
+        const model = byName.get(name);
+        if (!model) {
+            continue;
+        }
+        if (elements.isolated) {
+            isolation.push({ model, ids: elements.isolated });
+        }
+        if (elements.selection) {
+            selection.push({ model, ids: elements.selection });
+        }
+    }
+    if (isolation.length > 0) {
+        viewer.setAggregateIsolation(isolation);
+    }
+    for (const [name, elements] of Object.entries(view.models || {})) {
+        if (byName.has(name) && elements.hidden) {
+            viewer.hide(elements.hidden, byName.get(name));
+        }
+    }
+    if (selection.length > 0) {
+        viewer.setAggregateSelection(selection);
+    }
+    if (view.state) {
+        viewer.restoreState(view.state, undefined, true);
+    }
+    const clusters = viewer.getExtension('Autodesk.VisualClusters');
+    if (clusters && typeof view.clusters === 'string') {
+        clusters.showClusters(view.clusters);
+    }
+    for (const name of view.panels || []) {
+        if (VIEWER_PANELS[name]) {
+            viewer.getExtension(VIEWER_PANELS[name])?.activate();
+        } else {
+            for (const extension of Object.values(viewer.getLoadedExtensions())) {
+                if (extension.openPanel) {
+                    extension.openPanel(name);
+                }
+            }
+        }
+    }
+}
+
+// Resolves once all the geometry of the model is loaded
+export function waitForGeometry(viewer, model) {
+    return new Promise(resolve => {
+        if (model.isLoadDone()) {
+            resolve();
+            return;
+        }
+        const onLoaded = (ev) => {
+            if (ev.model === model) {
+                viewer.removeEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, onLoaded);
+                resolve();
+            }
+        };
+        viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, onLoaded);
+    });
+}
+
+// Views are kept in links as base64url-encoded JSON, which is shorter than percent-encoding it
+export function encodeView(view) {
+    const bytes = new TextEncoder().encode(JSON.stringify(view));
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// The view of a link, or `null` when it cannot be read
+export function decodeView(text) {
+    try {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const view = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+        return view && typeof view === 'object' ? view : null;
+    } catch (err) {
+        console.warn('Could not read the view of the link.', err);
+        return null;
+    }
+}
@@ -0,0 +1,37 @@
+import { responseError } from './errors.js';
+
+// The state of the app to return to after logging in is passed on in the hash, e.g. "login.html#project=<bucket>&urn=<urn>".
+// URLs are relative, so that the app also works when served from a base path.
+const returnPath = './' + window.location.hash;
+
+const resp = await fetch('api/auth/provider');
+const provider = await resp.json();
+if (provider.type === 'oidc') {
+    window.location.href = `api/auth/login?return=${encodeURIComponent(window.location.hash)}`;
+} else {
+    setupLoginForm();
+}
+
+function setupLoginForm() {
+    const form = document.getElementById('login');
+    const error = form.querySelector('.error');
+    form.hidden = false;
+    form.onsubmit = async (ev) => {
+        ev.preventDefault();
+        error.textContent = '';
+        try {
+            const resp = await fetch('api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: form.username.value, password: form.password.value })
+            });
+            if (!resp.ok) {
+                throw await responseError(resp);
+            }
+            window.location.href = returnPath;
+        } catch (err) {
+            error.textContent = err.message;
+            console.error(err);
+        }
+    };
+}
@@ -1,16 +1,117 @@
 import { initViewer, loadModel } from './viewer.js';
+import { ModelPicker } from './picker.js';
+import { UploadQueue } from './queue.js';
+import { ModelScene } from './scene.js';
+import { captureLinkView, applyLinkView, waitForGeometry, encodeView, decodeView } from './links.js';
+import { responseError } from './errors.js';
+import { renderDiagnostics } from './diagnostics.js';
+import { chooseRootFile } from './archive.js';
+import { openShareDialog, applyView } from './share.js';
 
 const myImage = document.getElementById('myImage');
 const myLogo = document.getElementById('myLogo');
 const mySelect = document.getElementById('models');
+const modelPicker = new ModelPicker(mySelect, loadModels);
+let scene = null; // the models loaded together, see scene.js
+let pendingView = null; // the view of the link the page was opened with, restored once its models are loaded
 
-initViewer(document.getElementById('preview')).then(viewer => {
-    const urn = window.location.hash?.substring(1);
-    setupModelSelection(viewer, urn);
-    setupModelUpload(viewer);
-    viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, hideImage);
-    mySelect.addEventListener('change', showImage);
-});
+const STATUS_WAIT = 8; // seconds the server may hold a status request while a translation is in progress
+const HEALTH_INTERVAL = 60; // seconds between checks of the backend health
+
+const { share } = readHash();
+if (share) {
+    setupSharedView(share);
+} else {
+    getCurrentUser().then(user => {
+        if (!user) {
+            window.location.href = 'login.html' + window.location.hash;
+            return;
+        }
+        setupUser(user);
+        setupHealthIndicator();
+        initViewer(document.getElementById('preview')).then(viewer => {
+            const { project, model, version, urn, view } = readHash();
+            if (view) {
+                pendingView = decodeView(view);
+                updateHash({ view: null });
+            }
+            scene = new ModelScene(document.getElementById('scene'), viewer, { resolve: findModelVersion, onChange: writeSceneHash });
+            scene.setState(readSceneHash());
+            mySelect.addEventListener('add', (ev) => scene.add(ev.detail));
+            setupProjectSelection(viewer, project, urn ? { urn } : model && { name: model }, version);
+            setupProjectCreation(viewer);
+            setupTranslationProfiles();
+            setupModelUpload(viewer);
+            setupModelTranslation(viewer);
+            setupModelDetails();
+            setupModelSharing(viewer);
+            setupViewLink(viewer);
+            setupSourceDownload();
+            setupModelRemoval(viewer);
+            viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, hideImage);
+            mySelect.addEventListener('change', showImage);
+        });
+    });
+}
+
+// Share links ("#share=<token>") open their one model read-only, without logging in and without the header controls
+async function setupSharedView(token) {
+    document.body.classList.add('shared');
+    try {
+        const resp = await fetch(`api/share/link?token=${encodeURIComponent(token)}`);
+        if (resp.status === 404) {
+            showNotification('This link is not valid, has expired, or was revoked.');
+            return;
+        }
+        if (!resp.ok) {
+            throw await responseError(resp);
+        }
+        const share = await resp.json();
+        document.getElementById('user').textContent = `${share.name}, shared until ${new Date(share.expiresAt).toLocaleString()}`;
+        const viewer = await initViewer(document.getElementById('preview'), token);
+        const onLoaded = () => {
+            viewer.removeEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, onLoaded);
+            hideImage();
+            if (share.view) {
+                applyView(viewer, share.view);
+            }
+        };
+        viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, onLoaded);
+        await loadModel(viewer, share.urn);
+    } catch (err) {
+        alert('Could not open the shared model. See the console for more details.');
+        console.error(err);
+    }
+}
+
+async function getCurrentUser() {
+    const resp = await fetch('api/auth/me');
+    if (resp.status === 401) {
+        return null;
+    }
+    if (!resp.ok) {
+        throw await responseError(resp);
+    }
+    return resp.json();
+}
+
+// Hides the actions the user's role does not allow: viewers can only browse,
+// uploaders can also upload, translate and download the uploaded files, and admins can also create projects, remove models and pin versions.
+function setupUser(user) {
+    const canUpload = user.role === 'uploader' || user.role === 'admin';
+    const isAdmin = user.role === 'admin';
+    for (const id of ['upload', 'translate', 'profiles', 'details', 'share', 'download-source']) {
+        document.getElementById(id).hidden = !canUpload;
+    }
+    for (const id of ['create-project', 'remove', 'pin-version']) {
+        document.getElementById(id).hidden = !isAdmin;
+    }
+    document.getElementById('user').textContent = `${user.name} (${user.role})`;
+    document.getElementById('logout').onclick = async () => {
+        await fetch('api/auth/logout', { method: 'POST' });
+        window.location.href = 'login.html';
+    };
+}
 
 function hideImage() {
     myLogo.classList.remove('show'); // Remove class to trigger transition
@@ -32,19 +133,182 @@ function showImage() {
     const myTimeout = setTimeout(()=> myLogo.classList.add('show'),500);
 }
 
-async function setupModelSelection(viewer, selectedUrn) {
-    const dropdown = document.getElementById('models');
+// The URL hash holds the selected project, model and version, e.g. "#project=<bucket>&model=<name>&version=2",
+// the models loaded with it (see `readSceneHash`) and, in links to a view, the state of the viewer ("view=", see links.js),
+// or the token of a share link ("#share=<token>").
+// Links with "#project=<bucket>&urn=<urn>" or just "#<urn>" from earlier versions are still understood.
+function readHash() {
+    const hash = window.location.hash.substring(1);
+    if (!hash.includes('=')) {
+        return { urn: hash || undefined, with: [] };
+    }
+    const params = new URLSearchParams(hash);
+    return {
+        project: params.get('project') || undefined,
+        model: params.get('model') || undefined,
+        version: parseInt(params.get('version')) || undefined,
+        urn: params.get('urn') || undefined,
+        align: params.get('align') || undefined,
+        style: params.get('style') || undefined,
+        with: params.getAll('with'),
+        view: params.get('view') || undefined,
+        share: params.get('share') || undefined
+    };
+}
+
+// Arrays are written as repeated parameters
+function updateHash(changes) {
+    const state = { ...readHash(), ...changes };
+    let params = new URLSearchParams();
+    for (const [key, value] of Object.entries(state)) {
+        for (const item of [].concat(value || [])) {
+            if (item) {
+                params.append(key, item);
+            }
+        }
+    }
+    window.location.hash = params.toString();
+}
+
+function formatStyle({ color, hidden }) {
+    return color || hidden ? `${color || ''}|${hidden ? 'hidden' : ''}` : null;
+}
+
+function parseStyle(value) {
+    const [color, hidden] = (value || '').split('|');
+    return { color: /^[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : null, hidden: hidden === 'hidden' };
+}
+
+// The scene is kept in the hash as "with=<name>|<version>|<colour>|hidden" for each added model (only the name
+// is required), "align=shared" for models aligned by shared coordinates and "style=<colour>|hidden" for the primary model
+function readSceneHash() {
+    const { align, style, with: added } = readHash();
+    return {
+        align,
+        style: parseStyle(style),
+        models: added.map(value => {
+            // Model names may contain "|" themselves, so the fields are taken from the end
+            let parts = value.split('|');
+            const [version, color, hidden] = parts.length >= 4 ? parts.splice(-3) : [];
+            return { name: parts.join('|'), version: parseInt(version) || undefined, ...parseStyle(`${color || ''}|${hidden || ''}`) };
+        })
+    };
+}
+
+function writeSceneHash() {
+    const { align, style, models } = scene.getState();
+    updateHash({
+        align: align === 'shared' ? align : null,
+        style: formatStyle(style),
+        with: models.map(model => [model.name, model.version || '', model.color || '', model.hidden ? 'hidden' : ''].join('|'))
+    });
+}
+
+async function setupProjectSelection(viewer, selectedProject, selectedModel, selectedVersion) {
+    const dropdown = document.getElementById('projects');
     dropdown.innerHTML = '';
     try {
-        const resp = await fetch('/api/models');
+        const resp = await fetch('api/buckets');
         if (!resp.ok) {
-            throw new Error(await resp.text());
+            throw await responseError(resp);
         }
-        const models = await resp.json();
-        dropdown.innerHTML = models.map(model => `<option value=${model.urn} ${model.urn === selectedUrn ? 'selected' : ''}>${model.name}</option>`).join('\n');
-        dropdown.onchange = () => onModelSelected(viewer, dropdown.value);
-        if (dropdown.value) {
-            onModelSelected(viewer, dropdown.value);
+        const projects = await resp.json();
+        if (!projects.find(project => project.key === selectedProject)) {
+            selectedProject = (projects.find(project => project.default) || projects[0])?.key;
+        }
+        dropdown.innerHTML = projects.map(project => `<option value=${project.key} ${project.key === selectedProject ? 'selected' : ''} title="${project.region}, ${project.policyKey}">${project.name}</option>`).join('\n');
+        dropdown.onchange = () => {
+            scene.clear();
+            updateHash({ project: dropdown.value, model: null, version: null, urn: null, align: null, style: null, with: null });
+            setupModelSelection(viewer);
+        };
+        updateHash({ project: dropdown.value });
+        setupModelSelection(viewer, selectedModel, selectedVersion);
+    } catch (err) {
+        alert('Could not list projects. See the console for more details.');
+        console.error(err);
+    }
+}
+
+async function setupProjectCreation(viewer) {
+    const button = document.getElementById('create-project');
+    button.onclick = async () => {
+        const name = window.prompt('Please enter a name for the new project (letters, digits, "-", "_" and ".").');
+        if (!name) {
+            return;
+        }
+        const policyKey = window.prompt('Please choose a retention policy: "transient" (24 hours), "temporary" (30 days) or "persistent".', 'persistent');
+        if (!policyKey) {
+            return;
+        }
+        const region = window.prompt('Please choose a region for the project data: "US", "EMEA" or "APAC".', 'US');
+        if (!region) {
+            return;
+        }
+        try {
+            const resp = await fetch('api/buckets', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, policyKey, region })
+            });
+            if (!resp.ok) {
+                throw await responseError(resp);
+            }
+            const project = await resp.json();
+            setupProjectSelection(viewer, project.key);
+        } catch (err) {
+            alert(`Could not create project ${name}. See the console for more details.`);
+            console.error(err);
+        }
+    };
+}
+
+// A page of the models of the selected project, see GET /api/models for the `params`
+async function loadModels(params) {
+    const query = new URLSearchParams({ bucket: document.getElementById('projects').value });
+    for (const [name, value] of Object.entries(params)) {
+        if (value) {
+            query.set(name, value);
+        }
+    }
+    const resp = await fetch(`api/models?${query}`);
+    if (!resp.ok) {
+        throw await responseError(resp);
+    }
+    return await resp.json();
+}
+
+// A version of a model of the selected project by its file name ({ name, version, urn, displayName }), the current version without `version`
+async function findModelVersion(name, version) {
+    const { models } = await loadModels({ name, limit: 1 });
+    if (models.length === 0) {
+        throw new Error(`There is no model ${name} in this project.`);
+    }
+    const model = models[0];
+    if (!version || version === model.version) {
+        return model;
+    }
+    const resp = await fetch(`api/models/${model.urn}/versions`);
+    if (!resp.ok) {
+        throw await responseError(resp);
+    }
+    const match = (await resp.json()).versions.find(v => v.version === version);
+    if (!match) {
+        throw new Error(`Model ${name} has no version ${version}.`);
+    }
+    return { ...model, version, urn: match.urn };
+}
+
+// Lists the models of the selected project; `selectedModel` is { name } or { urn } (of its current version)
+async function setupModelSelection(viewer, selectedModel, selectedVersion) {
+    const dropdown = document.getElementById('models');
+    modelPicker.clear();
+    document.getElementById('versions').innerHTML = '';
+    try {
+        await modelPicker.reload(selectedModel || {});
+        dropdown.onchange = () => setupVersionSelection(viewer, modelPicker.selectedModel);
+        if (modelPicker.selectedModel) {
+            setupVersionSelection(viewer, modelPicker.selectedModel, selectedVersion);
         }
     } catch (err) {
         alert('Could not list models. See the console for more details.');
@@ -52,75 +316,391 @@ async function setupModelSelection(viewer, selectedUrn) {
     }
 }
 
-async function setupModelUpload(viewer) {
+// Files picked with the Upload button or dropped onto the viewer go into the upload queue in the header,
+// so the current model can still be viewed (and others picked) while they upload and translate
+function setupModelUpload(viewer) {
     const upload = document.getElementById('upload');
     const input = document.getElementById('input');
-    const models = document.getElementById('models');
+    const preview = document.getElementById('preview');
+    const queue = new UploadQueue(document.getElementById('uploads'), {
+        translate: requestTranslation,
+        onUploaded: (item) => {
+            if (item.bucket === document.getElementById('projects').value) {
+                modelPicker.refresh();
+            }
+        },
+        onOpen: (name, version) => setupModelSelection(viewer, { name }, version)
+    });
+    const addFiles = (files) => queue.add(files, document.getElementById('projects').value, document.getElementById('profiles').value);
     upload.onclick = () => input.click();
-    input.onchange = async () => {
-        const file = input.files[0];
-        let data = new FormData();
-        data.append('model-file', file);
-        if (file.name.endsWith('.zip')) { // When uploading a zip file, ask for the main design file in the archive
-            const entrypoint = window.prompt('Please enter the filename of the main design inside the archive.');
-            data.append('model-zip-entrypoint', entrypoint);
-        }
-        upload.setAttribute('disabled', 'true');
-        models.setAttribute('disabled', 'true');
-        showNotification(`Uploading model <em>${file.name}</em>. Do not reload the page.`);
+    input.onchange = () => {
+        addFiles(input.files);
+        input.value = '';
+    };
+    const hasFiles = (ev) => !upload.hidden && ev.dataTransfer.types.includes('Files');
+    preview.addEventListener('dragover', (ev) => {
+        if (hasFiles(ev)) {
+            ev.preventDefault();
+            ev.dataTransfer.dropEffect = 'copy';
+            preview.classList.add('drop-target');
+        }
+    });
+    preview.addEventListener('dragleave', (ev) => {
+        if (!preview.contains(ev.relatedTarget)) {
+            preview.classList.remove('drop-target');
+        }
+    });
+    preview.addEventListener('drop', (ev) => {
+        preview.classList.remove('drop-target');
+        if (hasFiles(ev)) {
+            ev.preventDefault();
+            addFiles(ev.dataTransfer.files);
+        }
+    });
+}
+
+async function setupTranslationProfiles() {
+    const dropdown = document.getElementById('profiles');
+    try {
+        const resp = await fetch('api/models/translation-profiles');
+        if (!resp.ok) {
+            throw await responseError(resp);
+        }
+        const profiles = await resp.json();
+        dropdown.innerHTML = profiles.map(profile => `<option value=${profile.name} title="${profile.description || ''}">${profile.name}</option>`).join('\n');
+    } catch (err) {
+        console.error('Could not list translation profiles, the default profile will be used.', err);
+    }
+}
+
+async function setupModelTranslation(viewer) {
+    const translate = document.getElementById('translate');
+    translate.onclick = async () => {
+        const urn = getSelectedVersionUrn();
+        if (!urn) {
+            return;
+        }
+        const name = `${modelPicker.selectedName} (v${getSelectedVersion()})`;
+        const profile = document.getElementById('profiles').value;
+        if (!window.confirm(`Translate model ${name} again using the "${profile || 'default'}" profile? Its current derivatives will be deleted.`)) {
+            return;
+        }
+        translate.setAttribute('disabled', 'true');
         try {
-            const resp = await fetch('/api/models', { method: 'POST', body: data });
-            if (!resp.ok) {
-                throw new Error(await resp.text());
+            let rootFilename;
+            if (modelPicker.selectedName.toLowerCase().endsWith('.zip')) {
+                const resp = await fetch(`api/models/${urn}/archive`);
+                if (!resp.ok) {
+                    throw await responseError(resp);
+                }
+                rootFilename = await chooseRootFile(modelPicker.selectedName, await resp.json());
+                if (!rootFilename) {
+                    return;
+                }
             }
-            const model = await resp.json();
-            setupModelSelection(viewer, model.urn);
+            await requestTranslation(urn, { profile, rootFilename, force: true });
+            scene.unloadAll();
+            onModelSelected(viewer, urn);
         } catch (err) {
-            alert(`Could not upload model ${file.name}. See the console for more details.`);
+            alert(`Could not translate model ${name}. See the console for more details.`);
             console.error(err);
         } finally {
-            clearNotification();
-            upload.removeAttribute('disabled');
-            models.removeAttribute('disabled');
-            input.value = '';
+            translate.removeAttribute('disabled');
         }
     };
 }
 
-async function onModelSelected(viewer, urn) {
-    if (window.onModelSelectedTimeout) {
-        clearTimeout(window.onModelSelectedTimeout);
-        delete window.onModelSelectedTimeout;
+async function requestTranslation(urn, params) {
+    const resp = await fetch(`api/models/${urn}/translate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params)
+    });
+    if (!resp.ok) {
+        throw await responseError(resp);
     }
-    window.location.hash = urn;
+}
+
+// Catalogue details of the selected model, edited in a dialog
+async function setupModelDetails() {
+    const button = document.getElementById('details');
+    const dialog = document.getElementById('model-details');
+    const form = dialog.querySelector('form');
+    button.onclick = () => {
+        const model = modelPicker.selectedModel;
+        if (!model) {
+            return;
+        }
+        form.displayName.value = model.displayName || '';
+        form.displayName.placeholder = model.name;
+        form.description.value = model.description || '';
+        form.discipline.value = model.discipline || '';
+        form.revision.value = model.revision || '';
+        form.tags.value = (model.tags || []).join(', ');
+        dialog.returnValue = '';
+        dialog.showModal();
+    };
+    dialog.onclose = async () => {
+        const model = modelPicker.selectedModel;
+        if (dialog.returnValue !== 'save' || !model) {
+            return;
+        }
+        try {
+            const resp = await fetch(`api/models/${model.urn}/meta`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    displayName: form.displayName.value,
+                    description: form.description.value,
+                    discipline: form.discipline.value,
+                    revision: form.revision.value,
+                    tags: form.tags.value
+                })
+            });
+            if (!resp.ok) {
+                throw await responseError(resp);
+            }
+            modelPicker.updateModel(model.urn, await resp.json());
+        } catch (err) {
+            alert(`Could not update the details of model ${model.name}. See the console for more details.`);
+            console.error(err);
+        }
+    };
+}
+
+async function setupModelSharing(viewer) {
+    document.getElementById('share').onclick = () => {
+        const urn = getSelectedVersionUrn();
+        if (urn) {
+            openShareDialog(viewer, urn, `${modelPicker.selectedName} (v${getSelectedVersion()})`);
+        }
+    };
+}
+
+// Copies a link to the current view: the URL with the selected model and scene, and the state of the viewer.
+// Clipboard access can be denied (and is missing outside secure contexts), the link is then shown to copy by hand.
+function setupViewLink(viewer) {
+    const button = document.getElementById('copy-link');
+    button.onclick = async () => {
+        if (!viewer.model) {
+            return;
+        }
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        params.set('view', encodeView(captureLinkView(viewer, scene.getLoadedModels())));
+        const link = `${window.location.href.split('#')[0]}#${params}`;
+        try {
+            await navigator.clipboard.writeText(link);
+            button.textContent = 'Copied';
+            setTimeout(() => button.textContent = 'Copy Link', 2000);
+        } catch (err) {
+            window.prompt('Copy the link to this view:', link);
+        }
+    };
+}
+
+// Downloads the file uploaded as the selected version, through a short-lived signed URL
+async function setupSourceDownload() {
+    document.getElementById('download-source').onclick = async () => {
+        const urn = getSelectedVersionUrn();
+        if (!urn) {
+            return;
+        }
+        try {
+            const resp = await fetch(`api/models/${urn}/source`);
+            if (!resp.ok) {
+                throw await responseError(resp);
+            }
+            const { url } = await resp.json();
+            window.location.href = url;
+        } catch (err) {
+            alert(`Could not download model ${modelPicker.selectedName}. See the console for more details.`);
+            console.error(err);
+        }
+    };
+}
+
+async function setupModelRemoval(viewer) {
+    const remove = document.getElementById('remove');
+    remove.onclick = async () => {
+        const urn = modelPicker.value;
+        if (!urn) {
+            return;
+        }
+        const name = modelPicker.selectedName;
+        if (!window.confirm(`Remove model ${name} with all its versions and translated derivatives? This cannot be undone.`)) {
+            return;
+        }
+        remove.setAttribute('disabled', 'true');
+        modelPicker.disabled = true;
+        try {
+            const resp = await fetch(`api/models/${urn}`, { method: 'DELETE' });
+            if (!resp.ok) {
+                throw await responseError(resp);
+            }
+            stopStatusUpdates();
+            scene.unloadAll();
+            updateHash({ model: null, version: null, urn: null });
+            setupModelSelection(viewer);
+        } catch (err) {
+            alert(`Could not remove model ${name}. See the console for more details.`);
+            console.error(err);
+        } finally {
+            remove.removeAttribute('disabled');
+            modelPicker.disabled = false;
+        }
+    };
+}
+
+// The versions of the picked model, newest first, opening `selectedVersion` or else the current version.
+// Admins can make the selected version the current one, which is what the picker lists and opens by default.
+async function setupVersionSelection(viewer, model, selectedVersion) {
+    const dropdown = document.getElementById('versions');
+    const pin = document.getElementById('pin-version');
+    dropdown.innerHTML = '';
     try {
-        const resp = await fetch(`/api/models/${urn}/status`);
+        const resp = await fetch(`api/models/${model.urn}/versions`);
         if (!resp.ok) {
-            throw new Error(await resp.text());
-        }
-        const status = await resp.json();
-        switch (status.status) {
-            case 'n/a':
-                showNotification(`Model has not been translated.`);
-                break;
-            case 'inprogress':
-                showNotification(`Model is being translated (${status.progress})...`);
-                window.onModelSelectedTimeout = setTimeout(onModelSelected, 5000, viewer, urn);
-                break;
-            case 'failed':
-                showNotification(`Translation failed. <ul>${status.messages.map(msg => `<li>${JSON.stringify(msg)}</li>`).join('')}</ul>`);
-                break;
-            default:
-                clearNotification();
-                loadModel(viewer, urn);
-                break; 
+            throw await responseError(resp);
         }
+        const history = await resp.json();
+        if (!history.versions.find(v => v.version === selectedVersion)) {
+            selectedVersion = history.current;
+        }
+        dropdown.innerHTML = history.versions.map(v => {
+            const label = `v${v.version}${v.version === history.current ? (history.pinned ? ' (pinned)' : ' (current)') : ''}`;
+            const title = [v.lastModified ? new Date(v.lastModified).toLocaleString() : '', v.uploadedBy ? `by ${v.uploadedBy}` : ''].filter(part => part).join(' ');
+            return `<option value=${v.urn} data-version=${v.version} ${v.version === selectedVersion ? 'selected' : ''} title="${title}">${label}</option>`;
+        }).join('\n');
+        // For the pinned version the button unpins it instead, making the latest version current again
+        const isPinned = (version) => history.pinned && version === history.current;
+        dropdown.onchange = () => {
+            const version = getSelectedVersion();
+            pin.textContent = isPinned(version) ? 'Unpin' : 'Make Current';
+            updateHash({ model: model.name, version, urn: null });
+            onModelSelected(viewer, dropdown.value);
+        };
+        dropdown.onchange();
+        pin.onclick = async () => {
+            const version = getSelectedVersion();
+            pin.setAttribute('disabled', 'true');
+            try {
+                const resp = await fetch(`api/models/${model.urn}/versions/current`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ version: isPinned(version) ? null : version })
+                });
+                if (!resp.ok) {
+                    throw await responseError(resp);
+                }
+                setupModelSelection(viewer, { name: model.name }, version);
+            } catch (err) {
+                alert(`Could not change the current version of model ${model.name}. See the console for more details.`);
+                console.error(err);
+            } finally {
+                pin.removeAttribute('disabled');
+            }
+        };
     } catch (err) {
+        alert('Could not list model versions. See the console for more details.');
+        console.error(err);
+    }
+}
+
+function getSelectedVersionUrn() {
+    return document.getElementById('versions').value || modelPicker.value;
+}
+
+function getSelectedVersion() {
+    const option = document.getElementById('versions').selectedOptions[0];
+    return option ? parseInt(option.dataset.version) : modelPicker.selectedModel?.version;
+}
+
+let statusUpdates = null; // aborts the long-polling for the previously selected model
+
+function stopStatusUpdates() {
+    if (statusUpdates) {
+        statusUpdates.abort();
+        statusUpdates = null;
+    }
+}
+
+async function onModelSelected(viewer, urn) {
+    stopStatusUpdates();
+    const controller = statusUpdates = new AbortController();
+    const view = pendingView;
+    pendingView = null;
+    try {
+        let since = 0;
+        while (true) {
+            // Once a translation is in progress, the server holds the request until its status changes
+            const resp = await fetch(`api/models/${urn}/status?since=${since}&wait=${since ? STATUS_WAIT : 0}`, { signal: controller.signal });
+            if (!resp.ok) {
+                throw await responseError(resp);
+            }
+            const status = await resp.json();
+            switch (status.status) {
+                case 'n/a':
+                    showNotification(`Model has not been translated.`);
+                    return;
+                case 'inprogress':
+                    showNotification(`Model is being translated (${status.progress})...`);
+                    since = status.updatedAt;
+                    continue;
+                case 'failed':
+                case 'timeout':
+                    showNotification(renderDiagnostics(status));
+                    return;
+                default:
+                    clearNotification();
+                    await scene.loadPrimary(urn, modelPicker.selectedName, view && view.guid);
+                    if (view) {
+                        await Promise.all(scene.getLoadedModels().map(({ model }) => waitForGeometry(viewer, model)));
+                        applyLinkView(viewer, view, scene.getLoadedModels());
+                    }
+                    return;
+            }
+        }
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            return;
+        }
         alert('Could not load model. See the console for more details.');
         console.error(err);
+    } finally {
+        if (statusUpdates === controller) {
+            statusUpdates = null;
+        }
     }
 }
 
+const HEALTH_LABELS = { ok: '', degraded: 'Degraded', down: 'Backend down' };
+
+// A dot in the header telling whether the APS backend works, with the failed checks in its tooltip
+function setupHealthIndicator() {
+    const indicator = document.getElementById('health');
+    const update = async () => {
+        let health;
+        try {
+            const resp = await fetch('api/health');
+            if (!resp.ok && resp.status !== 503) {
+                throw await responseError(resp);
+            }
+            health = await resp.json();
+        } catch (err) {
+            health = { status: 'down', checks: [{ name: 'server', status: 'failed', message: err.message }] };
+        }
+        const failed = health.checks.filter(check => check.status === 'failed');
+        indicator.className = `health-${health.status}`;
+        indicator.textContent = HEALTH_LABELS[health.status];
+        indicator.title = failed.length === 0
+            ? `The backend works${health.region ? ` (${health.provider}, ${health.region})` : ''}.`
+            : failed.map(check => `${check.name}: ${check.message}`).join('\n');
+        indicator.hidden = false;
+    };
+    update();
+    setInterval(update, HEALTH_INTERVAL * 1000);
+}
+
 function showNotification(message) {
     const overlay = document.getElementById('overlay');
     overlay.innerHTML = `<div class="notification">${message}</div>`;
@@ -0,0 +1,295 @@
+import { escapeHtml, formatSize } from './format.js';
+
+const STATUS_LABELS = {
+    'success': 'Ready',
+    'inprogress': 'Translating',
+    'failed': 'Failed',
+    'timeout': 'Failed',
+    'n/a': 'Not translated'
+};
+
+const SEARCH_DELAY = 300; // milliseconds of no typing before searching
+const PAGE_SIZE = 50;
+
+function displayName(model) {
+    return model.displayName || model.name;
+}
+
+// Header model picker: a button showing the current model, which opens a searchable and sortable
+// list of the models with their thumbnails, translation status, file size and upload date.
+// Models are listed with their current version; `value` is the URN of that version.
+// Models are grouped by discipline and can be filtered by it and by file type; the search also looks at
+// the catalogue details (display name, description, revision and tags). Searching, sorting and filtering
+// happen on the server: `loadPage(params)` fetches a page of GET /api/models, and further pages are
+// loaded as the list is scrolled to its end.
+// Like a <select>, the container element fires a "change" event when another model is picked, and an "add" event
+// (with the model as its `detail`) when a model is to be added to the scene of the picked one (see scene.js).
+export class ModelPicker {
+    constructor(container, loadPage) {
+        this.container = container;
+        this.loadPage = loadPage;
+        this.models = [];
+        this.next = null;
+        this.indexing = false; // the project is still being indexed, see GET /api/models
+        this.loading = null;
+        this.request = 0; // pages of older requests are dropped when they arrive late
+        this.selected = null;
+        this.container.classList.add('model-picker');
+        this.container.innerHTML = `
+            <button class="model-picker-toggle" title="Select Model"></button>
+            <div class="model-picker-panel">
+                <div class="model-picker-toolbar">
+                    <input type="search" class="model-picker-search" placeholder="Search models">
+                    <select class="model-picker-discipline" title="Filter by Discipline"></select>
+                    <select class="model-picker-extension" title="Filter by File Type"></select>
+                    <select class="model-picker-sort" title="Sort Models">
+                        <option value="name">Name</option>
+                        <option value="date">Newest first</option>
+                        <option value="size">Largest first</option>
+                    </select>
+                </div>
+                <ul class="model-picker-list"></ul>
+            </div>
+        `;
+        this.toggle = this.container.querySelector('.model-picker-toggle');
+        this.search = this.container.querySelector('.model-picker-search');
+        this.sort = this.container.querySelector('.model-picker-sort');
+        this.discipline = this.container.querySelector('.model-picker-discipline');
+        this.extension = this.container.querySelector('.model-picker-extension');
+        this.list = this.container.querySelector('.model-picker-list');
+        this.toggle.onclick = () => this.setOpen(!this.container.classList.contains('open'));
+        let searchTimer = null;
+        this.search.oninput = () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.refresh(), SEARCH_DELAY);
+        };
+        this.sort.onchange = () => this.refresh();
+        this.discipline.onchange = () => this.refresh();
+        this.extension.onchange = () => this.refresh();
+        this.list.onscroll = () => this.loadMoreIfNeeded();
+        this.list.onclick = (ev) => {
+            const item = ev.target.closest('li[data-urn]');
+            if (item && ev.target.closest('.model-picker-add')) {
+                this.container.dispatchEvent(new CustomEvent('add', { detail: this.models.find(model => model.urn === item.dataset.urn) }));
+            } else if (item) {
+                this.select(this.models.find(model => model.urn === item.dataset.urn));
+                this.setOpen(false);
+                this.render();
+            }
+        };
+        document.addEventListener('click', (ev) => {
+            if (!this.container.contains(ev.target)) {
+                this.setOpen(false);
+            }
+        });
+        this.select(null, false);
+    }
+
+    get value() {
+        return this.selected ? this.selected.urn : '';
+    }
+
+    // The file name, as opposed to the display name from the catalogue
+    get selectedName() {
+        return this.selected ? this.selected.name : '';
+    }
+
+    get selectedModel() {
+        return this.selected;
+    }
+
+    set disabled(disabled) {
+        this.toggle.disabled = disabled;
+        if (disabled) {
+            this.setOpen(false);
+        }
+    }
+
+    getParams() {
+        return {
+            q: this.search.value.trim(),
+            sort: this.sort.value,
+            discipline: this.discipline.value,
+            ext: this.extension.value,
+            group: 'discipline',
+            limit: PAGE_SIZE
+        };
+    }
+
+    // Loads the first page of the list again, e.g. for another project or after uploads.
+    // With `selected` ({ name } or { urn } of a model) that model is selected, looking it up if it is not
+    // on the first page, and otherwise the first model; without it the selection stays as it is.
+    async reload(selected) {
+        const request = ++this.request;
+        this.models = [];
+        this.next = null;
+        this.loading = this.loadPage(this.getParams());
+        this.render();
+        let page;
+        try {
+            page = await this.loading;
+        } finally {
+            if (request === this.request) {
+                this.loading = null;
+            }
+        }
+        if (request !== this.request) {
+            return;
+        }
+        this.setFilters(page);
+        this.models = page.models;
+        this.next = page.next;
+        this.indexing = page.indexing;
+        this.render();
+        this.loadMoreIfNeeded();
+        if (selected) {
+            let model = this.models.find(model => model.urn === selected.urn || model.name === selected.name);
+            if (!model && (selected.urn || selected.name)) {
+                model = (await this.loadPage({ ...selected, limit: 1 })).models[0];
+            }
+            this.select(model || this.models[0] || null, false);
+            this.render();
+        }
+    }
+
+    // Reloads the list for changed search, sort or filters, keeping the selection
+    async refresh() {
+        try {
+            await this.reload();
+        } catch (err) {
+            this.list.innerHTML = `<li class="model-picker-empty">Could not load the models.</li>`;
+            console.error(err);
+        }
+    }
+
+    // Loads the next page once the open list is scrolled (close) to its end, or does not fill the panel
+    loadMoreIfNeeded() {
+        const open = this.container.classList.contains('open');
+        if (open && this.list.scrollTop + this.list.clientHeight >= this.list.scrollHeight - 100) {
+            this.loadMore().catch(err => console.error(err));
+        }
+    }
+
+    // Appends the next page of the list, if there is one and it is not being loaded already
+    async loadMore() {
+        if (!this.next || this.loading) {
+            return;
+        }
+        const request = this.request;
+        this.loading = this.loadPage({ ...this.getParams(), cursor: this.next });
+        try {
+            const page = await this.loading;
+            if (request === this.request) {
+                this.models = this.models.concat(page.models);
+                this.next = page.next;
+            }
+        } finally {
+            if (request === this.request) {
+                this.loading = null;
+            }
+        }
+        if (request === this.request) {
+            this.render();
+            this.loadMoreIfNeeded();
+        }
+    }
+
+    // Empties the list, e.g. while another project is loading
+    clear() {
+        this.request++;
+        this.models = [];
+        this.next = null;
+        this.indexing = false;
+        this.loading = null;
+        this.select(null, false);
+        this.render();
+    }
+
+    // The disciplines and file types to filter by, from all the models of the project
+    setFilters(page) {
+        const options = (values, label, current) => `<option value="">${label}</option>` + values.map(value => `<option value="${escapeHtml(value)}" ${value === current ? 'selected' : ''}>${escapeHtml(value)}</option>`).join('');
+        this.discipline.innerHTML = options(page.disciplines, 'All disciplines', this.discipline.value);
+        this.extension.innerHTML = options(page.extensions, 'All file types', this.extension.value);
+    }
+
+    // Merges changed catalogue details into a listed model, which keeps its place until the list is reloaded
+    updateModel(urn, changes) {
+        for (const model of [...this.models, this.selected]) {
+            if (model && model.urn === urn) {
+                Object.assign(model, changes);
+            }
+        }
+        this.select(this.selected, false);
+        this.render();
+    }
+
+    select(model, notify = true) {
+        this.selected = model;
+        this.toggle.textContent = model ? displayName(model) : 'No models';
+        this.toggle.title = model ? model.name : 'Select Model';
+        if (notify) {
+            this.container.dispatchEvent(new Event('change'));
+        }
+    }
+
+    setOpen(open) {
+        this.container.classList.toggle('open', open);
+        if (open) {
+            this.search.focus();
+            this.loadMoreIfNeeded();
+        }
+    }
+
+    // The models come grouped by discipline from the server, with the models without one at the end
+    render() {
+        if (this.models.length === 0 && this.loading) {
+            this.list.innerHTML = `<li class="model-picker-empty">Loading&hellip;</li>`;
+            return;
+        }
+        if (this.models.length === 0) {
+            const filtered = this.search.value.trim() || this.discipline.value || this.extension.value;
+            const empty = this.indexing ? 'This project is still being indexed, try again in a few minutes.' : 'No models in this project.';
+            this.list.innerHTML = `<li class="model-picker-empty">${!filtered ? empty : 'No matching models.'}</li>`;
+            return;
+        }
+        const grouped = this.models.some(model => model.discipline);
+        let html = '';
+        let group = null;
+        for (const model of this.models) {
+            if (grouped && (model.discipline || '') !== group) {
+                group = model.discipline || '';
+                html += `<li class="model-picker-group">${escapeHtml(group || 'Other')}</li>`;
+            }
+            html += this.renderModel(model);
+        }
+        if (this.next) {
+            html += `<li class="model-picker-more">Loading more&hellip;</li>`;
+        }
+        const scrollTop = this.list.scrollTop;
+        this.list.innerHTML = html;
+        this.list.scrollTop = scrollTop;
+    }
+
+    renderModel(model) {
+        const info = [
+            model.displayName ? escapeHtml(model.name) : '',
+            model.revision ? `Rev. ${escapeHtml(model.revision)}` : '',
+            model.versions > 1 ? `v${model.version} of ${model.versions}` : '',
+            model.size ? formatSize(model.size) : '',
+            model.lastModified ? new Date(model.lastModified).toLocaleDateString() : '',
+            model.uploadedBy ? `by ${escapeHtml(model.uploadedBy)}` : ''
+        ].filter(part => part).join(' &middot; ');
+        return `
+            <li data-urn="${model.urn}" class="${this.selected && model.urn === this.selected.urn ? 'selected' : ''}" title="${escapeHtml(model.description || '')}">
+                <img src="api/models/${model.urn}/thumbnail?size=100" loading="lazy" alt="" onerror="this.style.visibility = 'hidden'">
+                <div class="model-picker-details">
+                    <span class="model-picker-name">${escapeHtml(displayName(model))}</span>
+                    <span class="model-picker-info">${info}</span>
+                    ${(model.tags || []).length > 0 ? `<span class="model-picker-tags">${model.tags.map(tag => `<span class="model-picker-tag">${escapeHtml(tag)}</span>`).join('')}</span>` : ''}
+                </div>
+                <span class="model-picker-status status-${(model.status || 'n/a').replace('/', '')}">${STATUS_LABELS[model.status] || model.status || ''}</span>
+                ${this.selected && model.urn !== this.selected.urn ? `<button class="model-picker-add" title="Add to the Scene of ${escapeHtml(displayName(this.selected))}">+</button>` : ''}
+            </li>
+        `;
+    }
+}
@@ -0,0 +1,280 @@
+import { uploadFile } from './upload.js';
+import { chooseRootFile } from './archive.js';
+import { responseError } from './errors.js';
+import { escapeHtml, formatSize } from './format.js';
+
+const STATUS_WAIT = 8; // seconds the server may hold a status request while a translation is in progress
+
+// Items that still need the user or the network; the others can be cleared from the list
+const ACTIVE_STATES = ['queued', 'hashing', 'uploading', 'uploaded', 'translating'];
+
+// Header upload queue: a button counting the uploads in progress, which opens the list of uploaded files.
+// Files are uploaded one after the other (each in parallel parts, see upload.js) to the project they were
+// added for, and each moves through the states
+// queued -> hashing -> uploading -> uploaded (archives wait for their root file here) -> translating -> ready,
+// or ends up failed or cancelled, from where it can be retried (resuming the parts uploaded already).
+// Files the project has already are held as "duplicate" until the user opens that version or uploads anyway.
+// `options.translate(urn, params)` requests translations, `options.onUploaded(item)` is called for every new
+// version and `options.onOpen(name, version)` when the user asks to view a model.
+export class UploadQueue {
+    constructor(container, options) {
+        this.container = container;
+        this.options = options;
+        this.items = [];
+        this.nextId = 1;
+        this.current = null;
+        this.container.classList.add('upload-queue');
+        this.container.innerHTML = `
+            <button class="upload-queue-toggle" title="Uploads"></button>
+            <div class="upload-queue-panel">
+                <ul class="upload-queue-list"></ul>
+                <div class="upload-queue-toolbar">
+                    <button class="upload-queue-clear">Clear Finished</button>
+                </div>
+            </div>
+        `;
+        this.toggle = this.container.querySelector('.upload-queue-toggle');
+        this.list = this.container.querySelector('.upload-queue-list');
+        this.toggle.onclick = () => this.setOpen(!this.container.classList.contains('open'));
+        this.container.querySelector('.upload-queue-clear').onclick = () => {
+            this.items = this.items.filter(item => ACTIVE_STATES.includes(item.state));
+            this.render();
+        };
+        this.list.onclick = (ev) => {
+            const button = ev.target.closest('button[data-action]');
+            if (button) {
+                const item = this.items.find(item => item.id === parseInt(button.closest('li').dataset.id));
+                this.onAction(item, button.dataset.action);
+            }
+        };
+        // Clicked buttons may be gone from the list by now, as it is rendered again on every change
+        document.addEventListener('click', (ev) => {
+            if (!ev.composedPath().includes(this.container)) {
+                this.setOpen(false);
+            }
+        });
+        this.render();
+    }
+
+    // Queues files (a FileList or an array) for upload to the project `bucket` with the translation `profile`
+    add(files, bucket, profile) {
+        for (const file of files) {
+            this.items.push({ id: this.nextId++, file, bucket, profile, state: 'queued', loaded: 0, total: file.size });
+        }
+        this.setOpen(true);
+        this.render();
+        this.processNext();
+    }
+
+    // Starts the next queued upload, unless one is running
+    async processNext() {
+        if (this.current) {
+            return;
+        }
+        const item = this.items.find(item => item.state === 'queued');
+        if (!item) {
+            return;
+        }
+        this.current = item;
+        try {
+            await this.upload(item);
+        } finally {
+            this.current = null;
+        }
+        this.processNext();
+    }
+
+    async upload(item) {
+        const controller = item.controller = new AbortController();
+        this.update(item, { state: 'hashing', loaded: 0, error: null });
+        try {
+            const result = await uploadFile(item.file, item.bucket, { profile: item.profile, allowDuplicate: item.allowDuplicate }, ({ phase, loaded, total }) => {
+                this.update(item, { state: phase, loaded, total });
+            }, controller.signal);
+            if (result.duplicate) {
+                this.update(item, { state: 'duplicate', duplicate: result.duplicate });
+                return;
+            }
+            item.model = result;
+            this.options.onUploaded(item);
+            // Archives are only translated once the main design file in them has been chosen
+            if (result.archive) {
+                this.update(item, { state: 'uploaded' });
+            } else {
+                this.watchTranslation(item);
+            }
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                this.update(item, { state: 'cancelled' });
+            } else {
+                console.error(err);
+                this.update(item, { state: 'failed', error: `Upload failed: ${err.message}` });
+            }
+        } finally {
+            item.controller = null;
+        }
+    }
+
+    async chooseRootFile(item) {
+        const rootFilename = await chooseRootFile(item.model.name, item.model.archive);
+        if (!rootFilename) {
+            return;
+        }
+        try {
+            await this.options.translate(item.model.urn, { profile: item.profile, rootFilename });
+            item.rootFilename = rootFilename;
+            this.watchTranslation(item);
+        } catch (err) {
+            console.error(err);
+            this.update(item, { state: 'failed', error: `Could not translate: ${err.message}` });
+        }
+    }
+
+    // Follows the translation of an uploaded version until it is ready or has failed
+    async watchTranslation(item) {
+        this.update(item, { state: 'translating', progress: null });
+        try {
+            let since = 0;
+            while (true) {
+                // Once a translation is in progress, the server holds the request until its status changes
+                const resp = await fetch(`api/models/${item.model.urn}/status?since=${since}&wait=${since ? STATUS_WAIT : 0}`);
+                if (!resp.ok) {
+                    throw await responseError(resp);
+                }
+                const status = await resp.json();
+                if (status.status === 'success') {
+                    this.update(item, { state: 'ready' });
+                    return;
+                } else if (status.status === 'inprogress') {
+                    this.update(item, { progress: status.progress });
+                    since = status.updatedAt;
+                } else if (status.status === 'n/a') {
+                    this.update(item, { state: 'failed', error: 'The model has not been translated.' });
+                    return;
+                } else {
+                    this.update(item, { state: 'failed', error: 'Translation failed, open the model for details.' });
+                    return;
+                }
+            }
+        } catch (err) {
+            console.error(err);
+            this.update(item, { state: 'failed', error: `Could not follow the translation: ${err.message}` });
+        }
+    }
+
+    onAction(item, action) {
+        switch (action) {
+            case 'cancel':
+                if (item.controller) {
+                    item.controller.abort();
+                } else {
+                    this.update(item, { state: 'cancelled' });
+                }
+                break;
+            case 'retry':
+                // Uploads that failed after the file was uploaded only need their translation requested or followed again
+                if (item.model && item.model.archive && !item.rootFilename) {
+                    this.update(item, { state: 'uploaded' });
+                } else if (item.model) {
+                    this.watchTranslation(item);
+                } else {
+                    this.update(item, { state: 'queued' });
+                    this.processNext();
+                }
+                break;
+            case 'allow-duplicate':
+                item.allowDuplicate = true;
+                this.update(item, { state: 'queued' });
+                this.processNext();
+                break;
+            case 'choose-root':
+                this.chooseRootFile(item);
+                break;
+            case 'open':
+                this.setOpen(false);
+                if (item.state === 'duplicate') {
+                    this.options.onOpen(item.duplicate.name, item.duplicate.version);
+                } else {
+                    this.options.onOpen(item.model.name, item.model.version);
+                }
+                break;
+            case 'remove':
+                this.items = this.items.filter(other => other !== item);
+                this.render();
+                break;
+        }
+    }
+
+    update(item, changes) {
+        Object.assign(item, changes);
+        this.render();
+    }
+
+    setOpen(open) {
+        this.container.classList.toggle('open', open && this.items.length > 0);
+    }
+
+    render() {
+        const active = this.items.filter(item => ACTIVE_STATES.includes(item.state)).length;
+        this.container.hidden = this.items.length === 0;
+        this.toggle.textContent = active > 0 ? `Uploads (${active})` : 'Uploads';
+        this.toggle.classList.toggle('busy', active > 0);
+        this.list.innerHTML = this.items.map(item => this.renderItem(item)).join('');
+    }
+
+    renderItem(item) {
+        const button = (action, label) => `<button data-action="${action}">${label}</button>`;
+        let status = '';
+        let actions = [];
+        switch (item.state) {
+            case 'queued':
+                status = 'Waiting';
+                actions = [button('cancel', 'Cancel')];
+                break;
+            case 'hashing':
+                status = `Checking the file (${Math.round(100 * item.loaded / (item.total || 1))}%)`;
+                actions = [button('cancel', 'Cancel')];
+                break;
+            case 'uploading':
+                status = `Uploading, ${formatSize(item.loaded)} of ${formatSize(item.total)}`;
+                actions = [button('cancel', 'Cancel')];
+                break;
+            case 'uploaded':
+                status = 'Uploaded, choose the design file to translate';
+                actions = [button('choose-root', 'Choose File'), button('open', 'Open')];
+                break;
+            case 'translating':
+                status = `Translating${item.progress ? ` (${escapeHtml(item.progress)})` : ''}`;
+                actions = [button('open', 'Open')];
+                break;
+            case 'ready':
+                status = `Ready as version ${item.model.version}`;
+                actions = [button('open', 'Open'), button('remove', 'Dismiss')];
+                break;
+            case 'duplicate':
+                status = `Already uploaded as version ${item.duplicate.version} of ${escapeHtml(item.duplicate.name)}`;
+                actions = [button('open', 'Open'), button('allow-duplicate', 'Upload Anyway'), button('remove', 'Dismiss')];
+                break;
+            case 'failed':
+                status = escapeHtml(item.error);
+                actions = [button('retry', 'Retry'), item.model ? button('open', 'Open') : '', button('remove', 'Dismiss')];
+                break;
+            case 'cancelled':
+                status = 'Cancelled';
+                actions = [button('retry', 'Retry'), button('remove', 'Dismiss')];
+                break;
+        }
+        const percent = item.total ? Math.round(100 * item.loaded / item.total) : 100;
+        const progress = item.state === 'uploading' || item.state === 'hashing' ? `<progress max="100" value="${percent}"></progress>` : '';
+        return `
+            <li data-id="${item.id}" class="upload-${item.state}">
+                <div class="upload-queue-details">
+                    <span class="upload-queue-name" title="${escapeHtml(item.file.name)}">${escapeHtml(item.file.name)}</span>
+                    <span class="upload-queue-status">${status}</span>
+                    ${progress}
+                </div>
+                <span class="upload-queue-actions">${actions.join('')}</span>
+            </li>
+        `;
+    }
+}
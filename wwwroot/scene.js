@@ -0,0 +1,274 @@
+import { loadModel } from './viewer.js';
+import { escapeHtml } from './format.js';
+
+const ALIGNMENTS = {
+    origin: 'Origin to origin',
+    shared: 'Shared coordinates'
+};
+
+const DEFAULT_COLOR = '#3a7bd5'; // offered when a model has no colour yet
+
+function displayName(entry) {
+    return entry.displayName || entry.name;
+}
+
+// Header model scene: the model picked in the model picker (the primary model) together with the models added
+// to it for coordination, e.g. the structure and MEP models of a building. All models are aligned origin to origin,
+// or by the shared coordinates of their source files (e.g. Revit survey points), with the primary model's offset.
+// Each model can be hidden or tinted with a colour, and the added ones unloaded again.
+// The scene state, as read by `getState` and restored by `setState` (e.g. from the URL hash), is
+// { align, style: { color, hidden } of the primary model, models: [{ name, version, color, hidden }] of the added ones }.
+// `options.resolve(name, version)` looks up a model version of the selected project ({ name, version, urn, displayName },
+// the current version without `version`), and `options.onChange()` is called whenever the state changes.
+export class ModelScene {
+    constructor(container, viewer, options) {
+        this.container = container;
+        this.viewer = viewer;
+        this.options = options;
+        this.align = 'origin';
+        this.primary = null;
+        this.primaryStyle = { color: null, hidden: false };
+        this.added = [];
+        this.request = 0; // models of an older scene are unloaded when they arrive late
+        this.container.classList.add('model-scene');
+        this.container.innerHTML = `
+            <button class="model-scene-toggle" title="Models in the Scene"></button>
+            <div class="model-scene-panel">
+                <div class="model-scene-toolbar">
+                    <label>Align by <select class="model-scene-align">
+                        ${Object.entries(ALIGNMENTS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select></label>
+                </div>
+                <ul class="model-scene-list"></ul>
+            </div>
+        `;
+        this.toggle = this.container.querySelector('.model-scene-toggle');
+        this.alignSelect = this.container.querySelector('.model-scene-align');
+        this.list = this.container.querySelector('.model-scene-list');
+        this.toggle.onclick = () => this.container.classList.toggle('open');
+        this.alignSelect.onchange = () => this.setAlignment(this.alignSelect.value);
+        this.list.onchange = (ev) => {
+            const entry = this.getEntry(ev.target);
+            if (ev.target.matches('.model-scene-visible')) {
+                this.setStyle(entry, { hidden: !ev.target.checked });
+            } else if (ev.target.matches('.model-scene-color')) {
+                this.setStyle(entry, { color: ev.target.value.substring(1) });
+            }
+        };
+        this.list.onclick = (ev) => {
+            const button = ev.target.closest('button[data-action]');
+            if (!button) {
+                return;
+            }
+            const entry = this.getEntry(button);
+            if (button.dataset.action === 'clear-color') {
+                this.setStyle(entry, { color: null });
+            } else if (button.dataset.action === 'remove') {
+                this.remove(entry);
+            }
+        };
+        // Clicked buttons may be gone from the list by now, as it is rendered again on every change
+        document.addEventListener('click', (ev) => {
+            if (!ev.composedPath().includes(this.container)) {
+                this.container.classList.remove('open');
+            }
+        });
+        this.render();
+    }
+
+    getState() {
+        return {
+            align: this.align,
+            style: { ...this.primaryStyle },
+            models: this.added.map(({ name, version, color, hidden }) => ({ name, version, color, hidden }))
+        };
+    }
+
+    // Restores a scene before its primary model is loaded with `loadPrimary`
+    setState(state) {
+        this.align = ALIGNMENTS[state.align] ? state.align : 'origin';
+        this.primaryStyle = { color: state.style?.color || null, hidden: !!state.style?.hidden };
+        this.added = (state.models || []).map(({ name, version, color, hidden }) => ({ name, version, color: color || null, hidden: !!hidden }));
+        this.render();
+    }
+
+    // Loads the primary model (replacing all loaded models), its viewable `guid` if given, and then the added models
+    // aligned with it. The primary model keeps its style while another version of it is loaded.
+    async loadPrimary(urn, name, guid) {
+        const request = ++this.request;
+        if (this.primary && this.primary.name !== name) {
+            this.primaryStyle = { color: null, hidden: false };
+        }
+        this.primary = { urn, name, model: null };
+        for (const entry of this.added) {
+            entry.model = null;
+        }
+        this.render();
+        const model = await loadModel(this.viewer, urn, this.align === 'shared' ? { applyRefPoint: true, guid } : { guid });
+        if (request !== this.request) {
+            return;
+        }
+        this.primary.model = model;
+        this.applyStyle(model, this.primaryStyle);
+        this.render();
+        for (const entry of this.added) {
+            await this.loadAdded(entry, request);
+        }
+    }
+
+    // The loaded models with their file names, the primary model first: [{ name, model }]
+    getLoadedModels() {
+        return [this.primary, ...this.added].filter(entry => entry && entry.model).map(({ name, model }) => ({ name, model }));
+    }
+
+    // Adds a model (as listed by the model picker, with its current version) to the scene
+    add(model) {
+        if ((this.primary && model.name === this.primary.name) || this.added.some(entry => entry.name === model.name)) {
+            return;
+        }
+        const entry = { name: model.name, version: model.version, urn: model.urn, displayName: model.displayName, color: null, hidden: false };
+        this.added.push(entry);
+        this.render();
+        this.options.onChange();
+        if (this.primary && this.primary.model) {
+            this.loadAdded(entry, this.request);
+        }
+    }
+
+    async loadAdded(entry, request) {
+        entry.error = null;
+        entry.loading = true;
+        this.render();
+        try {
+            if (!entry.urn) {
+                Object.assign(entry, await this.options.resolve(entry.name, entry.version));
+            }
+            const model = await loadModel(this.viewer, entry.urn, {
+                keepCurrentModels: true,
+                preserveView: true,
+                applyRefPoint: this.align === 'shared',
+                globalOffset: this.primary.model.getData().globalOffset
+            });
+            if (request !== this.request || !this.added.includes(entry)) {
+                this.viewer.unloadModel(model);
+                return;
+            }
+            entry.model = model;
+            this.applyStyle(model, entry);
+        } catch (err) {
+            console.error(err);
+            entry.error = err.message || 'Could not load the model.';
+        } finally {
+            entry.loading = false;
+            this.render();
+        }
+    }
+
+    remove(entry) {
+        this.added = this.added.filter(other => other !== entry);
+        if (entry.model) {
+            this.viewer.unloadModel(entry.model);
+        }
+        this.render();
+        this.options.onChange();
+    }
+
+    // Loads all models again for the other alignment, as it is set when loading
+    setAlignment(align) {
+        this.align = align;
+        this.options.onChange();
+        if (this.primary) {
+            this.loadPrimary(this.primary.urn, this.primary.name).catch(err => console.error(err));
+        }
+    }
+
+    setStyle(entry, changes) {
+        const style = entry ? entry : this.primaryStyle;
+        Object.assign(style, changes);
+        const model = entry ? entry.model : this.primary && this.primary.model;
+        if (model) {
+            this.applyStyle(model, style);
+        }
+        this.render();
+        this.options.onChange();
+    }
+
+    // Colours are applied to the root of the model's object tree, so they reach every element
+    applyStyle(model, { color, hidden }) {
+        this.viewer.clearThemingColors(model);
+        if (color) {
+            const rgb = new THREE.Color(`#${color}`);
+            model.getObjectTree(tree => this.viewer.setThemingColor(tree.getRootId(), new THREE.Vector4(rgb.r, rgb.g, rgb.b, 1), model, true));
+        }
+        const visible = this.viewer.getVisibleModels().includes(model);
+        if (hidden && visible) {
+            this.viewer.hideModel(model.id);
+        } else if (!hidden && !visible) {
+            this.viewer.showModel(model.id, true);
+        }
+    }
+
+    // Unloads all models but keeps the scene, e.g. while the primary model is translated again
+    unloadAll() {
+        this.request++;
+        for (const model of this.viewer.getAllModels()) {
+            this.viewer.unloadModel(model);
+        }
+        for (const entry of this.added) {
+            entry.model = null;
+        }
+        if (this.primary) {
+            this.primary.model = null;
+        }
+        this.render();
+    }
+
+    // Unloads all models and empties the scene, e.g. for another project
+    clear() {
+        this.unloadAll();
+        this.primary = null;
+        this.primaryStyle = { color: null, hidden: false };
+        this.added = [];
+        this.render();
+    }
+
+    getEntry(element) {
+        const index = parseInt(element.closest('li').dataset.index);
+        return index >= 0 ? this.added[index] : null;
+    }
+
+    render() {
+        this.container.hidden = this.added.length === 0;
+        this.toggle.textContent = `Scene (${this.added.length + (this.primary ? 1 : 0)})`;
+        this.alignSelect.value = this.align;
+        let html = '';
+        if (this.primary) {
+            html += this.renderEntry(-1, { ...this.primary, ...this.primaryStyle }, 'primary model');
+        }
+        this.added.forEach((entry, index) => {
+            let status = entry.version ? `v${entry.version}` : '';
+            if (entry.loading) {
+                status = 'loading&hellip;';
+            } else if (entry.error) {
+                status = escapeHtml(entry.error);
+            }
+            html += this.renderEntry(index, entry, status);
+        });
+        this.list.innerHTML = html;
+    }
+
+    renderEntry(index, entry, status) {
+        return `
+            <li data-index="${index}" class="${entry.error ? 'model-scene-failed' : ''}">
+                <input type="checkbox" class="model-scene-visible" title="Show" ${entry.hidden ? '' : 'checked'}>
+                <div class="model-scene-details">
+                    <span class="model-scene-name" title="${escapeHtml(entry.name || '')}">${escapeHtml(displayName(entry) || '')}</span>
+                    <span class="model-scene-info">${status}</span>
+                </div>
+                <input type="color" class="model-scene-color" title="Colour" value="${entry.color ? `#${entry.color}` : DEFAULT_COLOR}">
+                ${entry.color ? `<button data-action="clear-color" title="Original Colours">&times;</button>` : ''}
+                ${index >= 0 ? `<button data-action="remove" title="Unload from the Scene">Unload</button>` : ''}
+            </li>
+        `;
+    }
+}
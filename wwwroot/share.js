@@ -0,0 +1,101 @@
+import { responseError } from './errors.js';
+import { escapeHtml } from './format.js';
+
+// The camera (and the rest of the viewer state) and the isolated elements, for a share link to open at
+export function captureView(viewer) {
+    return {
+        state: viewer.getState({ viewport: true }),
+        isolate: viewer.getIsolatedNodes()
+    };
+}
+
+// Restores a view saved with `captureView`, once the model is loaded
+export function applyView(viewer, view) {
+    if (view.state) {
+        viewer.restoreState(view.state);
+    }
+    if (view.isolate && view.isolate.length > 0) {
+        viewer.isolate(view.isolate);
+    }
+}
+
+function renderShare(share) {
+    const details = [
+        `expires ${new Date(share.expiresAt).toLocaleString()}`,
+        share.hasView ? 'opens at a saved view' : '',
+        `by ${escapeHtml(share.createdBy)}`
+    ].filter(part => part).join(' &middot; ');
+    return `
+        <li>
+            <input type="text" readonly value="${escapeHtml(share.url)}" onfocus="this.select()">
+            <span class="share-info">${details}</span>
+            <button type="button" data-id="${escapeHtml(share.id)}">Revoke</button>
+        </li>
+    `;
+}
+
+// The share links of a model (version): the unexpired ones with a button to revoke each,
+// and a form for new ones, which may open at the current view of the viewer
+export async function openShareDialog(viewer, urn, name) {
+    const dialog = document.getElementById('shares');
+    const form = dialog.querySelector('form');
+    const list = dialog.querySelector('.share-list');
+    const create = dialog.querySelector('.share-create');
+    dialog.querySelector('.share-title').textContent = `Share links to ${name}`;
+    const render = async () => {
+        const resp = await fetch(`api/share?urn=${encodeURIComponent(urn)}`);
+        if (!resp.ok) {
+            throw await responseError(resp);
+        }
+        const shares = await resp.json();
+        list.innerHTML = shares.length > 0 ? shares.map(renderShare).join('') : '<li class="share-empty">No share links yet.</li>';
+    };
+    list.onclick = async (ev) => {
+        const button = ev.target.closest('button[data-id]');
+        if (!button || !window.confirm('Revoke this link? Anyone using it loses access right away.')) {
+            return;
+        }
+        try {
+            const resp = await fetch(`api/share/${button.dataset.id}`, { method: 'DELETE' });
+            if (!resp.ok) {
+                throw await responseError(resp);
+            }
+            await render();
+        } catch (err) {
+            alert('Could not revoke the link. See the console for more details.');
+            console.error(err);
+        }
+    };
+    create.onclick = async () => {
+        create.disabled = true;
+        try {
+            const resp = await fetch('api/share', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    urn,
+                    expiresIn: parseFloat(form.days.value) * 24,
+                    view: form.includeView.checked ? captureView(viewer) : undefined
+                })
+            });
+            if (!resp.ok) {
+                throw await responseError(resp);
+            }
+            const share = await resp.json();
+            await render();
+            navigator.clipboard.writeText(share.url).catch(() => {}); // the link can still be copied from the list
+        } catch (err) {
+            alert('Could not create a share link. See the console for more details.');
+            console.error(err);
+        } finally {
+            create.disabled = false;
+        }
+    };
+    try {
+        await render();
+        dialog.showModal();
+    } catch (err) {
+        alert('Could not list the share links. See the console for more details.');
+        console.error(err);
+    }
+}
@@ -0,0 +1,198 @@
+import { responseError } from './errors.js';
+import { hashFile } from './hash.js';
+
+const CHUNK_SIZE = 8 * 1024 * 1024; // S3 requires at least 5MB for every part except the last one
+const MAX_PARTS_PER_REQUEST = 25;
+const PARALLEL_UPLOADS = 4;
+const MAX_RETRIES = 3;
+
+// Uploads a file directly to the bucket in parts, using signed URLs handed out by the server.
+// Each upload becomes a new version of the model named like the file, under an object key the server picks.
+// Progress of each upload is kept in localStorage so that selecting the same file again
+// (e.g., after a page reload) only uploads the parts that are still missing.
+// The `translation` options (`entrypoint` for zip archives, translation `profile`) are passed on to the server.
+// Zip archives without a valid `entrypoint` are not translated; the result then lists the design files in the `archive`.
+// New uploads send the file's hash first: if the project has the same file already, nothing is uploaded and the
+// result names the existing model version as `duplicate`, unless the `translation` options `allowDuplicate`.
+// `onProgress` is called with { phase ("hashing" or "uploading"), loaded, total } in bytes, and aborting
+// `signal` cancels the upload; like a failed one, it then resumes when the same file is uploaded again.
+export async function uploadFile(file, bucket, translation, onProgress, signal) {
+    const resumeKey = `upload:${bucket}:${file.name}:${file.size}:${file.lastModified}`;
+    const partCount = Math.max(1, Math.ceil(file.size / CHUNK_SIZE));
+    let state = JSON.parse(localStorage.getItem(resumeKey) || 'null') || { uploadKey: null, objectKey: null, completed: [] };
+    if (!state.uploadKey) {
+        state.sha1 = await hashFile(file, (loaded) => onProgress && onProgress({ phase: 'hashing', loaded, total: file.size }), signal);
+    }
+    const saveState = () => localStorage.setItem(resumeKey, JSON.stringify(state));
+    let sending = new Map(); // bytes sent so far of the parts being uploaded
+    const reportProgress = () => {
+        if (onProgress) {
+            let loaded = state.completed.reduce((sum, part) => sum + partSize(file, part), 0);
+            for (const bytes of sending.values()) {
+                loaded += bytes;
+            }
+            onProgress({ phase: 'uploading', loaded, total: file.size });
+        }
+    };
+
+    let pending = [];
+    for (let part = 1; part <= partCount; part++) {
+        if (!state.completed.includes(part)) {
+            pending.push(part);
+        }
+    }
+    reportProgress();
+
+    let resuming = !!state.uploadKey;
+    try {
+        for (const [firstPart, parts] of groupParts(pending)) {
+            let upload;
+            try {
+                upload = await requestUploadUrls(file.name, bucket, firstPart, parts, state, translation.allowDuplicate, signal);
+            } catch (err) {
+                if (!resuming || err.name === 'AbortError') {
+                    throw err;
+                }
+                // The previous upload session has most likely expired, so start over
+                console.warn('Could not resume upload, starting from scratch.', err);
+                state = { uploadKey: null, objectKey: null, completed: [] };
+                localStorage.removeItem(resumeKey);
+                return uploadFile(file, bucket, translation, onProgress, signal);
+            }
+            if (upload.duplicate) {
+                return upload;
+            }
+            resuming = false;
+            saveState();
+            const queue = upload.urls.map((url, i) => ({ part: firstPart + i, url }));
+            const worker = async () => {
+                while (queue.length > 0) {
+                    const { part, url } = queue.shift();
+                    await uploadPart(file, bucket, part, url, state, signal, (loaded) => {
+                        sending.set(part, loaded);
+                        reportProgress();
+                    });
+                    sending.delete(part);
+                    state.completed.push(part);
+                    saveState();
+                    reportProgress();
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(PARALLEL_UPLOADS, queue.length) }, worker));
+        }
+
+        const resp = await fetch('api/models/uploads/complete', {
+            method: 'POST',
+            signal,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: file.name,
+                bucket,
+                uploadKey: state.uploadKey,
+                objectKey: state.objectKey,
+                size: file.size,
+                'model-zip-entrypoint': translation.entrypoint,
+                profile: translation.profile
+            })
+        });
+        if (resp.status === 409) {
+            // Another upload of the same name took this version meanwhile, so upload again for the next one
+            console.warn('The version was uploaded meanwhile, starting over.');
+            localStorage.removeItem(resumeKey);
+            return uploadFile(file, bucket, translation, onProgress, signal);
+        }
+        if (!resp.ok) {
+            throw await responseError(resp);
+        }
+        localStorage.removeItem(resumeKey);
+        return resp.json();
+    } catch (err) {
+        err.resumable = !!state.uploadKey;
+        throw err;
+    }
+}
+
+// Splits part numbers into contiguous runs of at most MAX_PARTS_PER_REQUEST parts.
+function groupParts(parts) {
+    let groups = [];
+    for (const part of parts) {
+        const last = groups[groups.length - 1];
+        if (last && last[0] + last[1] === part && last[1] < MAX_PARTS_PER_REQUEST) {
+            last[1]++;
+        } else {
+            groups.push([part, 1]);
+        }
+    }
+    return groups;
+}
+
+function partSize(file, part) {
+    return Math.max(0, Math.min(CHUNK_SIZE, file.size - (part - 1) * CHUNK_SIZE));
+}
+
+// The server only looks for a duplicate of the file (by `sha1`) when a new upload starts
+async function requestUploadUrls(name, bucket, firstPart, parts, state, allowDuplicate = false, signal) {
+    const resp = await fetch('api/models/uploads', {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, bucket, firstPart, parts, uploadKey: state.uploadKey, objectKey: state.objectKey, sha1: state.sha1, allowDuplicate })
+    });
+    if (!resp.ok) {
+        throw await responseError(resp);
+    }
+    const upload = await resp.json();
+    if (upload.duplicate) {
+        return upload;
+    }
+    state.uploadKey = upload.uploadKey;
+    state.objectKey = upload.objectKey;
+    return upload;
+}
+
+async function uploadPart(file, bucket, part, url, state, signal, onProgress) {
+    const chunk = file.slice((part - 1) * CHUNK_SIZE, part * CHUNK_SIZE);
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await putChunk(url, chunk, signal, onProgress);
+            return;
+        } catch (err) {
+            if (attempt >= MAX_RETRIES || err.name === 'AbortError') {
+                throw err;
+            }
+            console.warn(`Retrying upload of part ${part} (attempt ${attempt + 1}).`, err);
+            onProgress(0);
+            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+            // The signed URL may have expired in the meantime, so ask for a fresh one
+            ({ urls: [url] } = await requestUploadUrls(file.name, bucket, part, 1, state, false, signal));
+        }
+    }
+}
+
+// fetch cannot report how much of a request body has been sent, so parts are uploaded with XMLHttpRequest
+function putChunk(url, chunk, signal, onProgress) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new DOMException('The upload was cancelled.', 'AbortError'));
+            return;
+        }
+        const xhr = new XMLHttpRequest();
+        const onAbort = () => xhr.abort();
+        xhr.open('PUT', url);
+        xhr.upload.onprogress = (ev) => onProgress(ev.loaded);
+        xhr.onloadend = () => signal && signal.removeEventListener('abort', onAbort);
+        xhr.onload = () => {
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve();
+            } else {
+                reject(new Error(`Upload of part failed with status ${xhr.status}.`));
+            }
+        };
+        xhr.onerror = () => reject(new Error('Upload of part failed, the network request did not complete.'));
+        xhr.onabort = () => reject(new DOMException('The upload was cancelled.', 'AbortError'));
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+        xhr.send(chunk);
+    });
+}
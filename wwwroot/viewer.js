@@ -2,24 +2,73 @@
 import './extensions/LoggerExtension.js';
 import './extensions/SummaryExtension.js';
 import './extensions/HistogramExtension.js';
+import './extensions/ExportExtension.js';
 import './extensions/CameraRotation/contents/main.js';
 import './extensions/VisualClusters/VisualClusters.js';
+import { responseError } from './errors.js';
 
+const NO_MODEL_TOKEN_TTL = 60; // seconds until the viewer asks for a token again while no model has been opened
+
+let shareToken = null; // set when the viewer was opened from a share link
+let tokenScope = null; // the model ({ urn }) or project ({ bucket }) the viewer's tokens can read, see `loadModel`
+
+// Resolves with { access_token, expires_in }, or with `null` when the user has been told to log in again
+async function requestAccessToken() {
+    const resp = await fetch(`api/auth/token?${new URLSearchParams(shareToken ? { share: shareToken } : tokenScope)}`);
+    if (resp.status === 401 && shareToken) {
+        alert('This link has expired or was revoked.');
+        return null;
+    }
+    if (resp.status === 401) { // the session has expired
+        window.location.href = 'login.html' + window.location.hash;
+        return null;
+    }
+    if (!resp.ok) {
+        throw await responseError(resp);
+    }
+    return await resp.json();
+}
+
+// Called by the viewer when it starts and whenever its token is about to expire
 async function getAccessToken(callback) {
+    if (!shareToken && !tokenScope) { // there is nothing to read yet
+        callback('', NO_MODEL_TOKEN_TTL);
+        return;
+    }
     try {
-        const resp = await fetch('/api/auth/token');
-        if (!resp.ok) {
-            throw new Error(await resp.text());
+        const token = await requestAccessToken();
+        if (token) {
+            callback(token.access_token, token.expires_in);
         }
-        const { access_token, expires_in } = await resp.json();
-        callback(access_token, expires_in);
     } catch (err) {
         alert('Could not obtain access token. See the console for more details.');
         console.error(err);
     }
 }
 
-export function initViewer(container) {
+// The bucket of a model, from its URN (the base64-encoded object ID "urn:adsk.objects:os.object:<bucket>/<key>")
+function getBucketKey(urn) {
+    const match = atob(urn.replace(/-/g, '+').replace(/_/g, '/')).match(/^urn:adsk\.objects:os\.object:([^\/]+)\//);
+    return match ? match[1] : null;
+}
+
+// The viewer only asks for a new token when the current one is about to expire, so a model outside the
+// scope of that token gets a token of its own handed to the viewer before it is loaded
+async function useTokenScope(scope) {
+    if (shareToken || (tokenScope && tokenScope.urn === scope.urn && tokenScope.bucket === scope.bucket)) {
+        return;
+    }
+    tokenScope = scope;
+    const token = await requestAccessToken();
+    if (!token) {
+        throw new Error('Could not obtain an access token for the model.');
+    }
+    Autodesk.Viewing.Private.refreshToken(token.access_token);
+}
+
+// With a `share` token the viewer gets its access tokens through the share link instead of the user's session
+export function initViewer(container, share) {
+    shareToken = share || null;
     return new Promise(function (resolve, reject) {
         Autodesk.Viewing.Initializer({ env: 'AutodeskProduction', getAccessToken }, function () {
             const config = {
@@ -32,6 +81,8 @@ export function initViewer(container) {
                             // ,
                             'HistogramExtension'
                             ,
+                            'ExportExtension'
+                            ,
                             'CameraRotation'                            
                             ,
                             'Autodesk.NPR'
@@ -76,15 +127,55 @@ export function initViewer(container) {
     });
 }
 
-export function loadModel(viewer, urn) {
+// Reports viewer events (see POST api/audit/events) for the audit log; losing one is not worth bothering the user
+function reportEvent(event) {
+    fetch('api/audit/events', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...event, share: shareToken || undefined }),
+        keepalive: true
+    }).catch(err => console.warn('Could not report viewer event.', err));
+}
+
+// The time from opening a model until all of its geometry is loaded
+function reportLoadTime(viewer, model, urn, started) {
+    if (model.isLoadDone()) {
+        reportEvent({ type: 'load', urn, duration: performance.now() - started });
+        return;
+    }
+    const onLoaded = (ev) => {
+        if (ev.model === model) {
+            viewer.removeEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, onLoaded);
+            reportEvent({ type: 'load', urn, duration: performance.now() - started });
+        }
+    };
+    viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, onLoaded);
+}
+
+// The `options` are passed on to `viewer.loadDocumentNode`: without `keepCurrentModels` the model replaces
+// all loaded models, see scene.js for the options of models loaded together. The viewable with the GUID
+// `options.guid` is loaded if the model has it, the default one otherwise. Resolves with the loaded model.
+// The viewer's token can then read just this model, or for models loaded together, their project.
+export async function loadModel(viewer, urn, { guid, ...options } = {}) {
+    const started = performance.now();
+    reportEvent({ type: 'open', urn });
+    await useTokenScope(options.keepCurrentModels ? { bucket: getBucketKey(urn) } : { urn });
     return new Promise(function (resolve, reject) {
         function onDocumentLoadSuccess(doc) {
-            resolve(viewer.loadDocumentNode(doc, doc.getRoot().getDefaultGeometry()));
+            const viewable = (guid && doc.getRoot().findByGuid(guid)) || doc.getRoot().getDefaultGeometry();
+            const loading = viewer.loadDocumentNode(doc, viewable, options);
+            loading.then(model => reportLoadTime(viewer, model, urn, started), () => {
+                reportEvent({ type: 'load', urn, outcome: 'failure', duration: performance.now() - started });
+            });
+            resolve(loading);
         }
         function onDocumentLoadFailure(code, message, errors) {
+            reportEvent({ type: 'load', urn, outcome: 'failure', duration: performance.now() - started });
             reject({ code, message, errors });
         }
-        viewer.setLightPreset(0);
+        if (!options.keepCurrentModels) {
+            viewer.setLightPreset(0);
+        }
         Autodesk.Viewing.Document.load('urn:' + urn, onDocumentLoadSuccess, onDocumentLoadFailure);
     });
 }